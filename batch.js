@@ -0,0 +1,407 @@
+/**
+ * Batch - compact binary encoding of operation batches
+ *
+ * Used by the `wireFormat: 'binary'` Recorder option. A batch becomes one
+ * ArrayBuffer that is transferred instead of copied, plus an array of the
+ * values it can't pack, which travel next to it with structured clone:
+ *
+ *   version       byte
+ *   strings       varint count, then varint byte length + UTF-8 bytes each
+ *   operations    varint count, then each operation
+ *
+ * An operation starts with its opcode byte. Recorded operations are packed as
+ * a byte of flags for the fields that are present, the target id, then the
+ * present fields in `FIELD_FLAGS` order. Anything else (an unknown type or field)
+ * is opcode 0 and the index of the whole operation in the values.
+ *
+ * Ids like `obj_12` are written as integers, other strings as indexes into the
+ * string table, so property names repeated by a loop are written once per batch.
+ */
+
+// Bumped whenever the layout changes in a way older decoders can't read
+const BATCH_VERSION = 1;
+
+// Operation types, by opcode
+const OPCODES = { get: 1, set: 2, apply: 3, construct: 4 };
+const OPCODE_TYPES = Object.fromEntries(Object.entries(OPCODES).map(([type, opcode]) => [opcode, type]));
+const OPAQUE_OPERATION = 0;
+
+// Flag bit of each optional operation field, fields are written in this order
+const FIELD_FLAGS = { property: 1, receiver: 2, args: 4, value: 8, resultId: 16, constructorName: 32, callSite: 64 };
+
+// Tags of packed values
+const VALUE_UNDEFINED = 0;
+const VALUE_NULL = 1;
+const VALUE_FALSE = 2;
+const VALUE_TRUE = 3;
+const VALUE_INTEGER = 4;
+const VALUE_FLOAT = 5;
+const VALUE_STRING = 6;
+const VALUE_OBJECT_ID = 7;
+const VALUE_CLONED = 8;
+
+// Largest integer written as a zigzag varint, others are written as floats
+const MAX_PACKED_INTEGER = 0x3fffffff;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encode operations as a binary batch
+ * @param {Array<Object>} operations - Recorded operations
+ * @returns {{buffer: ArrayBuffer, values: Array}} The batch, and the values it
+ *   refers to that must be sent along with it
+ */
+function encodeBatch(operations) {
+  const body = new ByteWriter();
+  const strings = new StringTable();
+  const values = [];
+
+  body.varint(operations.length);
+  for (const operation of operations) {
+    const flags = getFlags(operation);
+    if (flags === -1) {
+      body.byte(OPAQUE_OPERATION);
+      body.varint(values.push(operation) - 1);
+      continue;
+    }
+
+    body.byte(OPCODES[operation.type]);
+    body.byte(flags);
+    writeId(body, operation.target, strings);
+
+    if (flags & 1) body.varint(strings.index(operation.property));
+    if (flags & 2) writeId(body, operation.receiver, strings);
+    if (flags & 4) {
+      body.varint(operation.args.length);
+      for (const arg of operation.args) {
+        writeValue(body, arg, strings, values);
+      }
+    }
+    if (flags & 8) writeValue(body, operation.value, strings, values);
+    if (flags & 16) writeId(body, operation.resultId, strings);
+    if (flags & 32) body.varint(strings.index(operation.constructorName));
+    if (flags & 64) body.varint(strings.index(operation.callSite));
+  }
+
+  // The string table goes first, it is only complete once every operation is written
+  const batch = new ByteWriter(body.length + 64);
+  batch.byte(BATCH_VERSION);
+  batch.varint(strings.list.length);
+  for (const string of strings.list) {
+    const bytes = textEncoder.encode(string);
+    batch.varint(bytes.length);
+    batch.raw(bytes);
+  }
+  batch.raw(body.toBytes());
+
+  return { buffer: batch.toBuffer(), values };
+}
+
+/**
+ * Decode a batch written by encodeBatch()
+ * @param {ArrayBuffer} buffer - The batch
+ * @param {Array} [values] - The values sent along with it
+ * @returns {Array<Object>} The operations
+ */
+function decodeBatch(buffer, values = []) {
+  const reader = new ByteReader(buffer);
+
+  const version = reader.byte();
+  if (version !== BATCH_VERSION) {
+    throw new TypeError(`[Recorder] Unsupported batch version ${version}, expected ${BATCH_VERSION}`);
+  }
+
+  const strings = [];
+  for (let count = reader.varint(); count > 0; count--) {
+    strings.push(textDecoder.decode(reader.raw(reader.varint())));
+  }
+
+  const operations = [];
+  for (let count = reader.varint(); count > 0; count--) {
+    const opcode = reader.byte();
+    if (opcode === OPAQUE_OPERATION) {
+      operations.push(values[reader.varint()]);
+      continue;
+    }
+    if (!(opcode in OPCODE_TYPES)) {
+      throw new TypeError(`[Recorder] Unknown opcode ${opcode} in batch`);
+    }
+
+    const flags = reader.byte();
+    const operation = { type: OPCODE_TYPES[opcode], target: readId(reader, strings) };
+
+    if (flags & 1) operation.property = strings[reader.varint()];
+    if (flags & 2) operation.receiver = readId(reader, strings);
+    if (flags & 4) {
+      operation.args = [];
+      for (let length = reader.varint(); length > 0; length--) {
+        operation.args.push(readValue(reader, strings, values));
+      }
+    }
+    if (flags & 8) operation.value = readValue(reader, strings, values);
+    if (flags & 16) operation.resultId = readId(reader, strings);
+    if (flags & 32) operation.constructorName = strings[reader.varint()];
+    if (flags & 64) operation.callSite = strings[reader.varint()];
+
+    operations.push(operation);
+  }
+
+  return operations;
+}
+
+/**
+ * Get the flags of the fields an operation has, or -1 when the packed layout
+ * can't write it
+ * @private
+ */
+function getFlags(operation) {
+  if (!operation || !Object.hasOwn(OPCODES, operation.type) || typeof operation.target !== 'string') {
+    return -1;
+  }
+
+  let flags = 0;
+  for (const field of Object.keys(operation)) {
+    const value = operation[field];
+    switch (field) {
+      case 'type':
+      case 'target':
+        continue;
+      case 'value':
+        break;
+      case 'args':
+        if (!Array.isArray(value)) return -1;
+        break;
+      case 'receiver':
+        if (value !== null && typeof value !== 'string') return -1;
+        break;
+      case 'property':
+      case 'resultId':
+      case 'constructorName':
+      case 'callSite':
+        if (typeof value !== 'string') return -1;
+        break;
+      default:
+        return -1;
+    }
+    flags |= FIELD_FLAGS[field];
+  }
+  return flags;
+}
+
+/**
+ * Write an object id
+ * @private
+ */
+function writeId(writer, id, strings) {
+  writer.varint(id === null ? 0 : strings.idCode(id));
+}
+
+/**
+ * @private
+ */
+function readId(reader, strings) {
+  const value = reader.varint();
+  if (value === 0) return null;
+  return value % 2 ? strings[(value - 1) / 2] : `obj_${value / 2 - 1}`;
+}
+
+/**
+ * Write an argument or assigned value, values that can't be packed are added to `values`
+ * @private
+ */
+function writeValue(writer, value, strings, values) {
+  if (value === undefined) {
+    writer.byte(VALUE_UNDEFINED);
+  } else if (value === null) {
+    writer.byte(VALUE_NULL);
+  } else if (typeof value === 'boolean') {
+    writer.byte(value ? VALUE_TRUE : VALUE_FALSE);
+  } else if (Number.isInteger(value) && Math.abs(value) <= MAX_PACKED_INTEGER && !Object.is(value, -0)) {
+    writer.byte(VALUE_INTEGER);
+    writer.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+  } else if (typeof value === 'number') {
+    writer.byte(VALUE_FLOAT);
+    writer.float64(value);
+  } else if (typeof value === 'string') {
+    writer.byte(VALUE_STRING);
+    writer.varint(strings.index(value));
+  } else if (isObjectIdMarker(value)) {
+    writer.byte(VALUE_OBJECT_ID);
+    writeId(writer, value.__recordedObjectId, strings);
+  } else {
+    writer.byte(VALUE_CLONED);
+    writer.varint(values.push(value) - 1);
+  }
+}
+
+/**
+ * @private
+ */
+function readValue(reader, strings, values) {
+  const tag = reader.byte();
+  switch (tag) {
+    case VALUE_UNDEFINED: return undefined;
+    case VALUE_NULL: return null;
+    case VALUE_FALSE: return false;
+    case VALUE_TRUE: return true;
+    case VALUE_INTEGER: {
+      const zigzag = reader.varint();
+      return zigzag % 2 ? -(zigzag + 1) / 2 : zigzag / 2;
+    }
+    case VALUE_FLOAT: return reader.float64();
+    case VALUE_STRING: return strings[reader.varint()];
+    case VALUE_OBJECT_ID: return { __recordedObjectId: readId(reader, strings) };
+    case VALUE_CLONED: return values[reader.varint()];
+  }
+  throw new TypeError(`[Recorder] Unknown value tag ${tag} in batch`);
+}
+
+/**
+ * Check if a value is exactly `{ __recordedObjectId: id }`
+ * @private
+ */
+function isObjectIdMarker(value) {
+  if (typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return keys.length === 1 && keys[0] === '__recordedObjectId' && typeof value.__recordedObjectId === 'string';
+}
+
+/**
+ * Strings written to a batch, by index
+ * @private
+ */
+class StringTable {
+  constructor() {
+    this.list = [];
+    this.indexes = new Map();
+    this.idCodes = new Map();
+  }
+
+  // Ids are written as integers, `obj_N` as an even number and others as an odd string index
+  idCode(id) {
+    let code = this.idCodes.get(id);
+    if (code === undefined) {
+      const match = /^obj_([1-9]\d*|0)$/.exec(id);
+      code = match && Number.isSafeInteger(Number(match[1]) * 2 + 2)
+        ? Number(match[1]) * 2 + 2
+        : this.index(id) * 2 + 1;
+      this.idCodes.set(id, code);
+    }
+    return code;
+  }
+
+  index(string) {
+    let index = this.indexes.get(string);
+    if (index === undefined) {
+      index = this.list.push(string) - 1;
+      this.indexes.set(string, index);
+    }
+    return index;
+  }
+}
+
+/**
+ * Growable byte buffer
+ * @private
+ */
+class ByteWriter {
+  constructor(size = 1024) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  byte(value) {
+    this._reserve(1);
+    this.bytes[this.length++] = value;
+  }
+
+  // Unsigned LEB128, arithmetic instead of bit operations to go past 32 bits
+  varint(value) {
+    this._reserve(8);
+    while (value >= 0x80) {
+      this.bytes[this.length++] = (value % 0x80) | 0x80;
+      value = Math.floor(value / 0x80);
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  float64(value) {
+    this._reserve(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  raw(bytes) {
+    this._reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  toBytes() {
+    return this.bytes.subarray(0, this.length);
+  }
+
+  toBuffer() {
+    return this.bytes.buffer.slice(0, this.length);
+  }
+
+  _reserve(size) {
+    if (this.length + size <= this.bytes.length) return;
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + size) capacity *= 2;
+
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.toBytes());
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+}
+
+/**
+ * Reads what ByteWriter wrote
+ * @private
+ */
+class ByteReader {
+  constructor(buffer) {
+    this.bytes = new Uint8Array(buffer);
+    this.view = new DataView(buffer);
+    this.offset = 0;
+  }
+
+  byte() {
+    if (this.offset >= this.bytes.length) {
+      throw new TypeError('[Recorder] Unexpected end of batch');
+    }
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      byte = this.byte();
+      value += (byte & 0x7f) * scale;
+      scale *= 0x80;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  float64() {
+    const value = this.view.getFloat64(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  raw(length) {
+    const bytes = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+}
+
+export { BATCH_VERSION, encodeBatch, decodeBatch };
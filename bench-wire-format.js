@@ -0,0 +1,144 @@
+/**
+ * Benchmark - compares the 'object' and 'binary' wire formats
+ *
+ * Records the batches an animation loop in a worker would send, then measures
+ * for each format how large a batch is once serialized, how long the sending
+ * side takes to serialize it, how long the receiving side (usually the main
+ * thread) takes to read it back, and how long recording, sending and replaying
+ * takes through a MessagePort.
+ *
+ * Run with `npm run bench`, optionally with the number of sprites and batches:
+ *   node bench-wire-format.js [sprites=500] [batches=50]
+ */
+
+import { serialize, deserialize } from 'node:v8';
+import { Recorder, createRecordHandler } from './recorder.js';
+import { encodeBatch, decodeBatch } from './batch.js';
+
+const SPRITES = Number(process.argv[2]) || 500;
+const BATCHES = Number(process.argv[3]) || 50;
+
+// One animation frame: every sprite is moved and faded
+function recordFrame(proxied, sprites, frame) {
+  for (let i = 0; i < sprites.length; i++) {
+    const style = sprites[i].style;
+    style.transform = `translate(${(frame + i) % 800}px, ${i * 2}px)`;
+    style.opacity = ((frame + i) % 100) / 100;
+  }
+  proxied.requestAnimationFrame.call(null, null);
+}
+
+// Context the batches are replayed into, a few plain objects instead of a DOM
+function createContext() {
+  return {
+    document: {
+      getElementById(id) {
+        return { id, style: {} };
+      }
+    },
+    requestAnimationFrame() {}
+  };
+}
+
+// Run `fn` a number of times, resolves with the milliseconds per run
+async function time(runs, fn) {
+  const start = performance.now();
+  for (let i = 0; i < runs; i++) {
+    await fn(i);
+  }
+  return (performance.now() - start) / runs;
+}
+
+// Run `fn` a number of times after warming it up, returns the milliseconds per run
+function timeSync(runs, fn) {
+  for (let i = 0; i < 10; i++) {
+    fn();
+  }
+  const start = performance.now();
+  for (let i = 0; i < runs; i++) {
+    fn();
+  }
+  return (performance.now() - start) / runs;
+}
+
+// Size, send and receive time of one batch message in each format
+function measureMessages() {
+  const recorder = new Recorder({ autoReplay: false });
+  const proxied = new Proxy({}, createRecordHandler(recorder));
+  const sprites = Array.from({ length: SPRITES }, (_, i) => proxied.document.getElementById(`sprite-${i}`));
+  recorder.clear();
+  recordFrame(proxied, sprites, 0);
+
+  const operations = recorder.getRecordings();
+  const results = {};
+
+  const objectMessage = serialize({ type: 'replay', operations });
+  results.object = {
+    operations: operations.length,
+    bytes: objectMessage.byteLength,
+    send: timeSync(BATCHES, () => serialize({ type: 'replay', operations })),
+    receive: timeSync(BATCHES, () => deserialize(objectMessage).operations)
+  };
+
+  const sendBinary = () => {
+    const { buffer, values } = encodeBatch(operations);
+    return serialize({ type: 'replay', batch: buffer, values });
+  };
+  const binaryMessage = sendBinary();
+  results.binary = {
+    operations: operations.length,
+    bytes: binaryMessage.byteLength,
+    send: timeSync(BATCHES, sendBinary),
+    receive: timeSync(BATCHES, () => {
+      const message = deserialize(binaryMessage);
+      return decodeBatch(message.batch, message.values);
+    })
+  };
+
+  recorder[Symbol.dispose]();
+  return results;
+}
+
+// Record, send and replay frames through a MessageChannel, in milliseconds per frame
+async function measureRoundTrip(wireFormat) {
+  const channel = new MessageChannel();
+  const recorder = new Recorder({ port: channel.port1, autoReplay: false, wireFormat });
+  const replayRecorder = new Recorder({ port: channel.port2, replayContext: createContext() });
+  const proxied = new Proxy({}, createRecordHandler(recorder));
+
+  const sprites = Array.from({ length: SPRITES }, (_, i) => proxied.document.getElementById(`sprite-${i}`));
+  await recorder.flush();
+
+  const ms = await time(BATCHES, async (frame) => {
+    recordFrame(proxied, sprites, frame);
+    await recorder.flush();
+  });
+
+  recorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+  return ms;
+}
+
+const messages = measureMessages();
+const roundTrip = {
+  object: await measureRoundTrip('object'),
+  binary: await measureRoundTrip('binary')
+};
+
+console.log(`Wire format benchmark: ${SPRITES} sprites, ${messages.object.operations} operations per batch, ${BATCHES} batches\n`);
+console.log('format   bytes/batch   send ms   receive ms   record+send+replay ms');
+for (const format of ['object', 'binary']) {
+  console.log(
+    format.padEnd(9) +
+    String(messages[format].bytes).padStart(11) +
+    messages[format].send.toFixed(2).padStart(10) +
+    messages[format].receive.toFixed(2).padStart(13) +
+    roundTrip[format].toFixed(2).padStart(24)
+  );
+}
+
+const ratio = (a, b) => (a / b).toFixed(1);
+console.log(`\nbinary: ${ratio(messages.object.bytes, messages.binary.bytes)}x smaller, ` +
+  `${ratio(messages.object.send, messages.binary.send)}x the send speed, ` +
+  `${ratio(messages.object.receive, messages.binary.receive)}x the receive speed, ` +
+  `${ratio(roundTrip.object, roundTrip.binary)}x the end to end speed`);
@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool for files written by export() and exportTo()
+ *
+ *   javascript-recorder inspect <file> [--all]
+ *   javascript-recorder stats <file> [--json]
+ *   javascript-recorder replay <file> <context-module> [--export name] [--async]
+ *
+ * `inspect` prints the operations as the JavaScript that was recorded. Property
+ * reads are folded into the expressions that use them, so a file reads as
+ * `const obj_2 = document.createElement("div")` instead of three operations.
+ */
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs, inspect } from 'node:util';
+import { Recorder } from './recorder.js';
+
+const USAGE = `Usage: javascript-recorder <command> <file> [options]
+
+Commands:
+  inspect <file>                    Print the operations as JavaScript
+  stats <file>                      Count the operations by type and property
+  replay <file> <context-module>    Replay the operations against the context
+                                    a module exports, and report the failures
+
+Options:
+  --all            inspect: print property reads on their own line too
+  --json           stats: print the counts as JSON
+  --export <name>  replay: the export to replay against (default: default),
+                   a function is called to create the context
+  --async          replay: await Promises before the operations that use them
+  -h, --help       Show this help
+
+Use - as <file> to read from stdin.`;
+
+const OPTIONS = {
+  all: { type: 'boolean' },
+  json: { type: 'boolean' },
+  export: { type: 'string' },
+  async: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const COMMANDS = { inspect: inspectFile, stats: printStats, replay: replayFile };
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Run a command, resolves with the exit code
+ * @param {Array<string>} argv - The arguments after the script name
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    return usageError(error.message);
+  }
+
+  const { values: options, positionals: [command, ...args] } = parsed;
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!command) {
+    return usageError();
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    return usageError(`Unknown command "${command}"`);
+  }
+
+  return COMMANDS[command](args, options);
+}
+
+/**
+ * Print the operations of a file as JavaScript
+ */
+function inspectFile([file], options) {
+  if (!file) {
+    return usageError('inspect needs a file');
+  }
+
+  const recorder = readRecording(file);
+  for (const [key, value] of Object.entries(recorder.metadata ?? {})) {
+    console.log(`// ${key}: ${typeof value === 'string' ? value : formatValue(value, id => id)}`);
+  }
+  for (const { statement, inlined } of describeOperations(recorder.getRecordings())) {
+    if (options.all || !inlined) {
+      console.log(statement);
+    }
+  }
+
+  recorder[Symbol.dispose]();
+  return 0;
+}
+
+/**
+ * Print how many operations a file has, by type, property and called function
+ */
+function printStats([file], options) {
+  if (!file) {
+    return usageError('stats needs a file');
+  }
+
+  const recorder = readRecording(file);
+  const stats = countOperations(recorder.getRecordings());
+  recorder[Symbol.dispose]();
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      ...stats,
+      types: Object.fromEntries(stats.types),
+      properties: Object.fromEntries(stats.properties),
+      calls: Object.fromEntries(stats.calls)
+    }, null, 2));
+    return 0;
+  }
+
+  console.log(`Operations: ${stats.operations}`);
+  console.log(`Objects: ${stats.objects}`);
+  printCounts('By type', stats.types);
+  printCounts('By property', stats.properties);
+  printCounts('Calls', stats.calls);
+  return 0;
+}
+
+/**
+ * Replay a file against the context a module exports, one operation at a time
+ * so every failure is reported with the operation that caused it
+ *
+ * Promises returned by the operations are awaited before the summary, so a
+ * rejection counts as a failure of the operation that returned the Promise.
+ */
+async function replayFile([file, contextModule], options) {
+  if (!file || !contextModule) {
+    return usageError('replay needs a file and a context module');
+  }
+
+  const failures = [];
+  const indexes = new Map();
+  let current = 0;
+  const recorder = readRecording(file, {
+    asyncReplay: options.async ?? false,
+    // --async reports rejections after their operation ran, find it by resultId
+    onerror: (error) => failures.push({ index: indexes.get(error.resultId) ?? current, error })
+  });
+  const operations = recorder.getRecordings();
+  const descriptions = describeOperations(operations);
+  const context = await loadContext(contextModule, options.export ?? 'default');
+
+  const pending = [];
+  for (const [index, operation] of operations.entries()) {
+    current = index;
+    if (operation.resultId) {
+      indexes.set(operation.resultId, index);
+    }
+    recorder.recordings = [operation];
+    const [result] = await recorder.replay(context);
+
+    if (isThenable(result)) {
+      // Only --async watches the Promises it replays, report the others here
+      const report = options.async ? () => {} : (error) => failures.push({ index, error });
+      pending.push(Promise.resolve(result).then(undefined, report));
+    }
+  }
+  await Promise.all(pending);
+
+  failures.sort((a, b) => a.index - b.index);
+  for (const { index, error } of failures) {
+    console.log(`✗ #${index + 1} ${descriptions[index].statement}`);
+    console.log(`    ${error?.name ?? 'Error'}: ${error?.message ?? error}`);
+    if (operations[index].callSite) {
+      console.log(`    recorded at ${operations[index].callSite}`);
+    }
+  }
+
+  const failed = failures.length;
+  console.log(`Replayed ${operations.length} operations: ${operations.length - failed} succeeded, ${failed} failed`);
+  recorder[Symbol.dispose]();
+  return failed > 0 ? 1 : 0;
+}
+
+/**
+ * Read a file with Recorder.import(), `-` reads stdin
+ * @private
+ */
+function readRecording(file, options) {
+  return Recorder.import(readFileSync(file === '-' ? 0 : file, 'utf8'), options);
+}
+
+/**
+ * Import the context to replay against from a module
+ * @private
+ */
+async function loadContext(path, name) {
+  const module = await import(pathToFileURL(resolve(path)).href);
+  if (!(name in module)) {
+    throw new Error(`${path} has no export named "${name}"`);
+  }
+  const context = module[name];
+  return typeof context === 'function' ? await context() : context;
+}
+
+/**
+ * Write each operation as a JavaScript statement
+ *
+ * A property read whose result is used exactly once is `inlined`: its
+ * expression is used in place of its id, so only the other statements need to
+ * be printed. Results used more than once keep their `const`, so the code
+ * doesn't read them again.
+ * @param {Array<Object>} operations - Recorded operations
+ * @returns {Array<{statement: string, inlined: boolean}>} One entry per operation
+ */
+function describeOperations(operations) {
+  const uses = new Map();
+  for (const operation of operations) {
+    const ids = [operation.target];
+    collectIds([operation.args, operation.value], ids);
+    for (const id of ids) {
+      uses.set(id, (uses.get(id) ?? 0) + 1);
+    }
+  }
+
+  const expressions = new Map();
+  const expression = (id) => expressions.get(id) ?? id;
+  const format = (value) => formatValue(value, expression);
+
+  return operations.map((operation) => {
+    const { type, target, property, args = [], value, resultId, callSite } = operation;
+    const comment = callSite ? ` // ${callSite}` : '';
+
+    let code;
+    switch (type) {
+      case 'get':
+        code = formatMember(expression(target), property);
+        break;
+      case 'set':
+        return { statement: `${formatMember(expression(target), property)} = ${format(value)};${comment}`, inlined: false };
+      case 'apply':
+        code = `${expression(target)}(${args.map(format).join(', ')})`;
+        break;
+      case 'construct':
+        code = `new ${expression(target)}(${args.map(format).join(', ')})`;
+        break;
+      default:
+        return { statement: `// ${type} ${format(operation)}`, inlined: false };
+    }
+
+    const inlined = type === 'get' && uses.get(resultId) === 1;
+    if (inlined) {
+      expressions.set(resultId, code);
+    }
+    const statement = resultId && (type === 'get' || uses.has(resultId))
+      ? `const ${resultId} = ${code};`
+      : `${code};`;
+    return { statement: statement + comment, inlined };
+  });
+}
+
+/**
+ * Count operations by type, properties by name, and calls by the name of the
+ * function that was called
+ * @param {Array<Object>} operations - Recorded operations
+ */
+function countOperations(operations) {
+  const types = new Map();
+  const properties = new Map();
+  const calls = new Map();
+  const names = new Map();
+  const objects = new Set();
+
+  for (const operation of operations) {
+    increment(types, operation.type);
+    if (operation.type === 'get' || operation.type === 'set') {
+      increment(properties, operation.property);
+    }
+    if (operation.type === 'get') {
+      names.set(operation.resultId, operation.property);
+    }
+    if (operation.type === 'apply' || operation.type === 'construct') {
+      increment(calls, names.get(operation.target) ?? operation.target);
+    }
+    if (operation.resultId) {
+      objects.add(operation.resultId);
+    }
+  }
+
+  return {
+    operations: operations.length,
+    objects: objects.size,
+    types: sortCounts(types),
+    properties: sortCounts(properties),
+    calls: sortCounts(calls)
+  };
+}
+
+/**
+ * @private
+ */
+function increment(counts, key) {
+  counts.set(String(key), (counts.get(String(key)) ?? 0) + 1);
+}
+
+/**
+ * Most frequent first, then by name
+ * @private
+ */
+function sortCounts(counts) {
+  return new Map([...counts].sort(([a, countA], [b, countB]) => countB - countA || (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+/**
+ * @private
+ */
+function printCounts(title, counts) {
+  if (counts.size === 0) return;
+
+  const width = Math.max(...[...counts.keys()].map(key => key.length));
+  console.log(`\n${title}:`);
+  for (const [key, count] of counts) {
+    console.log(`  ${key.padEnd(width)}  ${String(count).padStart(6)}`);
+  }
+}
+
+/**
+ * Add the ids of object markers in a value to `ids`, once per use
+ * @private
+ */
+function collectIds(value, ids, seen = new Set()) {
+  if (!value || typeof value !== 'object') return;
+  // Checked before `seen`, a shared marker is still one use per place it appears
+  if (typeof value.__recordedObjectId === 'string') {
+    ids.push(value.__recordedObjectId);
+    return;
+  }
+  if (seen.has(value)) return;
+  seen.add(value);
+
+  const items = value instanceof Map ? [...value].flat() : value instanceof Set ? [...value] : Object.values(value);
+  for (const item of items) {
+    collectIds(item, ids, seen);
+  }
+}
+
+/**
+ * A property access, properties of globalThis are written as globals
+ * @private
+ */
+function formatMember(object, property) {
+  if (IDENTIFIER.test(property)) {
+    return object === 'globalThis' ? property : `${object}.${property}`;
+  }
+  return `${object}[${JSON.stringify(property)}]`;
+}
+
+/**
+ * Write a recorded value as JavaScript, markers become the expression of their object
+ * @private
+ */
+function formatValue(value, expression, ancestors = new Set()) {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'bigint') return `${value}n`;
+  if (Object.is(value, -0)) return '-0';
+  if (value === null || typeof value !== 'object') return String(value);
+  if (ancestors.has(value)) return '[Circular]';
+
+  ancestors.add(value);
+  const format = (item) => formatValue(item, expression, ancestors);
+  try {
+    if (Array.isArray(value)) {
+      return `[${value.map(format).join(', ')}]`;
+    }
+    if (value instanceof Map) {
+      return `new Map([${[...value].map(([key, item]) => `[${format(key)}, ${format(item)}]`).join(', ')}])`;
+    }
+    if (value instanceof Set) {
+      return `new Set([${[...value].map(format).join(', ')}])`;
+    }
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? 'new Date(NaN)' : `new Date(${JSON.stringify(value.toISOString())})`;
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+      return inspect(value, { breakLength: Infinity, depth: 2 });
+    }
+    if (typeof value.__recordedObjectId === 'string') return expression(value.__recordedObjectId);
+    if (typeof value.__functionChannel === 'string') return `[Function ${value.__functionChannel}]`;
+    if (typeof value.__transferableStream === 'string') return `[Stream ${value.__transferableStream}]`;
+
+    const entries = Object.entries(value).map(([key, item]) => `${IDENTIFIER.test(key) ? key : JSON.stringify(key)}: ${format(item)}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  } finally {
+    ancestors.delete(value);
+  }
+}
+
+/**
+ * @private
+ */
+function isThenable(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+}
+
+/**
+ * @private
+ */
+function usageError(message) {
+  console.error(message ? `${message}\n\n${USAGE}` : USAGE);
+  return 2;
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  console.error(`javascript-recorder: ${error.message}`);
+  process.exitCode = 1;
+}
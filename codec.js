@@ -0,0 +1,309 @@
+/**
+ * Codec - lossless JSON encoding of recordings and messages
+ *
+ * Recordings carry values structured clone keeps but JSON loses: `undefined`,
+ * BigInt, NaN, -0, Dates, RegExps, Maps, Sets, ArrayBuffers, typed arrays and
+ * shared or circular references. `encode()` turns them into JSON-safe values
+ * so batches can travel over text channels or be written to disk.
+ *
+ * Values JSON keeps (strings, booleans, finite numbers, null, arrays and plain
+ * objects) are written as they are, so proxy markers like `__recordedObjectId`
+ * and `__functionChannel` read the same as in a recording. Everything else
+ * becomes an object with a `$type` key:
+ *
+ *   { "$type": "undefined" }
+ *   { "$type": "hole" }                                an empty slot of a sparse array
+ *   { "$type": "number", "value": "NaN" | "Infinity" | "-Infinity" | "-0" }
+ *   { "$type": "bigint", "value": "12345678901234567890" }
+ *   { "$type": "Date", "value": 1700000000000 }
+ *   { "$type": "RegExp", "source": "a+", "flags": "gi" }
+ *   { "$type": "Map", "entries": [[key, value], ...] }
+ *   { "$type": "Set", "values": [value, ...] }
+ *   { "$type": "ArrayBuffer", "data": "<base64>" }
+ *   { "$type": "Uint8Array", "buffer": <ArrayBuffer>, "byteOffset": 0, "length": 3 }
+ *   { "$type": "ImageData", "width": 1, "height": 1, "data": <Uint8ClampedArray>, "colorSpace": "srgb" }
+ *   { "$type": "object", "value": { "$type": ... } }   a plain object with its own `$type` key
+ *   { "$type": "ref", "index": 0 }                     an object seen before
+ *
+ * Objects are numbered in the order they are first written, `ref` points back
+ * to one of them.
+ */
+
+// Bumped whenever the encoding changes in a way older decoders can't read
+const CODEC_VERSION = 1;
+
+// Typed arrays and DataView, by constructor name
+const VIEW_TYPES = [
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array',
+  'BigInt64Array', 'BigUint64Array', 'DataView'
+].filter(type => typeof globalThis[type] === 'function');
+
+/**
+ * Encode a value as JSON-safe data
+ * @param {any} value - Anything structured clone can copy, except Blobs
+ * @returns {{version: number, value: any}} The encoded value
+ */
+function encode(value) {
+  return { version: CODEC_VERSION, value: encodeValue(value, new Map()) };
+}
+
+/**
+ * Decode data written by encode()
+ * @param {{version: number, value: any}} encoded - The encoded value
+ * @returns {any} The value
+ */
+function decode(encoded) {
+  if (!encoded || typeof encoded !== 'object' || !('value' in encoded)) {
+    throw new TypeError('[Recorder] decode() expects a value written by encode()');
+  }
+  if (encoded.version !== CODEC_VERSION) {
+    throw new TypeError(`[Recorder] Unsupported codec version ${encoded.version}, expected ${CODEC_VERSION}`);
+  }
+  return decodeValue(encoded.value, []);
+}
+
+/**
+ * Encode a value as JSON text
+ * @param {any} value - The value
+ * @returns {string} JSON text
+ */
+function stringify(value) {
+  return JSON.stringify(encode(value));
+}
+
+/**
+ * Decode JSON text written by stringify()
+ * @param {string} text - JSON text
+ * @returns {any} The value
+ */
+function parse(text) {
+  return decode(JSON.parse(text));
+}
+
+/**
+ * @param {any} value - The value to encode
+ * @param {Map} seen - Index of every object written so far, by object
+ * @private
+ */
+function encodeValue(value, seen) {
+  switch (typeof value) {
+    case 'string':
+    case 'boolean':
+      return value;
+    case 'undefined':
+      return { $type: 'undefined' };
+    case 'bigint':
+      return { $type: 'bigint', value: value.toString() };
+    case 'number':
+      if (Number.isFinite(value) && !Object.is(value, -0)) {
+        return value;
+      }
+      return { $type: 'number', value: Object.is(value, -0) ? '-0' : String(value) };
+    case 'function':
+    case 'symbol':
+      throw new TypeError(`[Recorder] Cannot encode a ${typeof value}`);
+  }
+
+  if (value === null) {
+    return null;
+  }
+  if (seen.has(value)) {
+    return { $type: 'ref', index: seen.get(value) };
+  }
+  seen.set(value, seen.size);
+
+  if (Array.isArray(value)) {
+    // map() keeps holes, but JSON would write them as null
+    const items = [];
+    for (let i = 0; i < value.length; i++) {
+      items.push(i in value ? encodeValue(value[i], seen) : { $type: 'hole' });
+    }
+    return items;
+  }
+  if (value instanceof Date) {
+    return { $type: 'Date', value: encodeValue(value.getTime(), seen) };
+  }
+  if (value instanceof RegExp) {
+    return { $type: 'RegExp', source: value.source, flags: value.flags };
+  }
+  if (value instanceof Map) {
+    const entries = [];
+    for (const [key, item] of value) {
+      entries.push([encodeValue(key, seen), encodeValue(item, seen)]);
+    }
+    return { $type: 'Map', entries };
+  }
+  if (value instanceof Set) {
+    const values = [];
+    for (const item of value) {
+      values.push(encodeValue(item, seen));
+    }
+    return { $type: 'Set', values };
+  }
+  if (value instanceof ArrayBuffer) {
+    return { $type: 'ArrayBuffer', data: toBase64(new Uint8Array(value)) };
+  }
+  if (ArrayBuffer.isView(value)) {
+    const type = VIEW_TYPES.find(name => value instanceof globalThis[name]);
+    return {
+      $type: type,
+      buffer: encodeValue(value.buffer, seen),
+      byteOffset: value.byteOffset,
+      length: type === 'DataView' ? value.byteLength : value.length
+    };
+  }
+  if (typeof ImageData !== 'undefined' && value instanceof ImageData) {
+    return {
+      $type: 'ImageData',
+      width: value.width,
+      height: value.height,
+      data: encodeValue(value.data, seen),
+      colorSpace: value.colorSpace
+    };
+  }
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    throw new TypeError('[Recorder] Cannot encode a Blob, read it into an ArrayBuffer first');
+  }
+  if ([Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = encodeValue(item, seen);
+    }
+    // A plain object that looks like an encoded value is wrapped
+    return Object.hasOwn(value, '$type') ? { $type: 'object', value: copy } : copy;
+  }
+
+  throw new TypeError(`[Recorder] Cannot encode ${Object.prototype.toString.call(value)}`);
+}
+
+/**
+ * @param {any} value - The encoded value
+ * @param {Array} objects - Every object decoded so far, in the order they were written
+ * @private
+ */
+function decodeValue(value, objects) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    const array = [];
+    objects.push(array);
+    for (const item of value) {
+      if (item?.$type === 'hole') {
+        array.length++;
+      } else {
+        array.push(decodeValue(item, objects));
+      }
+    }
+    return array;
+  }
+
+  if (!Object.hasOwn(value, '$type')) {
+    return decodeObject(value, {}, objects);
+  }
+
+  switch (value.$type) {
+    case 'undefined':
+      return undefined;
+    case 'bigint':
+      return BigInt(value.value);
+    case 'number':
+      return value.value === '-0' ? -0 : Number(value.value);
+    case 'ref':
+      if (!(value.index < objects.length)) {
+        throw new TypeError(`[Recorder] Invalid reference to object ${value.index}`);
+      }
+      return objects[value.index];
+    case 'object':
+      return decodeObject(value.value, {}, objects);
+    case 'RegExp': {
+      const regexp = new RegExp(value.source, value.flags);
+      objects.push(regexp);
+      return regexp;
+    }
+    case 'Map': {
+      const map = new Map();
+      objects.push(map);
+      for (const [key, item] of value.entries) {
+        map.set(decodeValue(key, objects), decodeValue(item, objects));
+      }
+      return map;
+    }
+    case 'Set': {
+      const set = new Set();
+      objects.push(set);
+      for (const item of value.values) {
+        set.add(decodeValue(item, objects));
+      }
+      return set;
+    }
+    case 'ArrayBuffer': {
+      const buffer = fromBase64(value.data).buffer;
+      objects.push(buffer);
+      return buffer;
+    }
+  }
+
+  // The rest are created from values written after them, so their slot is reserved first
+  const index = objects.push(null) - 1;
+  let decoded;
+
+  if (value.$type === 'Date') {
+    decoded = new Date(decodeValue(value.value, objects));
+  } else if (VIEW_TYPES.includes(value.$type)) {
+    const buffer = decodeValue(value.buffer, objects);
+    decoded = new globalThis[value.$type](buffer, value.byteOffset, value.length);
+  } else if (value.$type === 'ImageData' && typeof ImageData !== 'undefined') {
+    const data = decodeValue(value.data, objects);
+    decoded = new ImageData(data, value.width, value.height, { colorSpace: value.colorSpace });
+  } else {
+    throw new TypeError(`[Recorder] Cannot decode a value of type ${value.$type}`);
+  }
+
+  objects[index] = decoded;
+  return decoded;
+}
+
+/**
+ * Decode the properties of an encoded plain object into `target`
+ * @private
+ */
+function decodeObject(value, target, objects) {
+  objects.push(target);
+  for (const [key, item] of Object.entries(value)) {
+    target[key] = decodeValue(item, objects);
+  }
+  return target;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} Base64 text
+ * @private
+ */
+function toBase64(bytes) {
+  let binary = '';
+  // Chunked, spreading a large buffer into one call overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array}
+ * @private
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export { CODEC_VERSION, encode, decode, stringify, parse };
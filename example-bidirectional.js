@@ -115,15 +115,16 @@ console.log('[WORKER] Assigning click handler...');
 button.onclick = function clickHandler(event) {
   console.log('[WORKER] 🎉 Click handler executed in WORKER context!');
   
-  // Note: Event objects are not serializable, so we receive a placeholder
-  console.log(`[WORKER]   Event received:`, event);
+  // Event objects are not serializable, so we receive a recorded proxy of the
+  // live event on the main thread (event.type, event.preventDefault(), ...)
+  console.log(`[WORKER]   Event received as: ${event.__recordedObjectId}`);
   
   // Access worker-local state
   clickCount++;
   console.log(`[WORKER]   Click count: ${clickCount}`);
   
   // Update button text via proxy (will be replayed on main thread)
-  // Note: We use the button reference from worker scope, not event.target
+  // (event.target.innerText = ... would update the same element)
   button.innerText = `Click me: ${clickCount}`;
   console.log(`[WORKER]   Updated button text to: "Click me: ${clickCount}"`);
 };
@@ -176,8 +177,6 @@ buttonElement.click();
 await new Promise(resolve => setTimeout(resolve, 100));
 
 console.log('\n[MAIN] Final button text:', buttonElement.innerText);
-console.log('[MAIN] Note: Button text not updated because proxy operations inside');
-console.log('[MAIN]       callbacks need additional work (see limitations below)');
 
 // ==================================================================
 // SUMMARY
@@ -194,11 +193,7 @@ console.log('✓ When button was clicked on main thread:');
 console.log('  - Click event triggered the handler');
 console.log('  - Handler executed in WORKER context (accessing worker state)');
 console.log(`  - Click counter incremented correctly: ${clickCount} clicks`);
-console.log('');
-console.log('CURRENT LIMITATIONS:');
-console.log('  - Event objects cannot be fully serialized (placeholder sent)');
-console.log('  - Proxy operations inside callbacks need additional implementation');
-console.log('  - This is an MVP demonstrating the core bidirectional mechanism');
+console.log(`  - Button text updated from inside the handler: "${buttonElement.innerText}"`);
 console.log('='.repeat(70));
 
 // Clean up
@@ -2,6 +2,25 @@
  * JavaScript Recorder - Records and replays JavaScript operations using Proxies
  */
 
+import { encodeBatch, decodeBatch } from './batch.js';
+import { CODEC_VERSION, encode, decode } from './codec.js';
+import { mapDeep } from './walk.js';
+
+// Used to skip the recorder's own frames when capturing call sites
+const RECORDER_URL = import.meta.url;
+
+// Status written to the shared buffer once an evaluateSync() response is ready
+const SYNC_RESPONSE_READY = 1;
+
+// Event methods a handler() policy can call before the event is forwarded
+const EVENT_POLICIES = ['preventDefault', 'stopPropagation', 'stopImmediatePropagation'];
+
+// Identifies files written by export() and exportTo()
+const EXPORT_FORMAT = 'javascript-recorder';
+
+// Bumped whenever the file layout changes in a way older versions can't read
+const EXPORT_VERSION = 1;
+
 class Recorder {
   constructor(options = {}) {
     this.recordings = [];
@@ -9,12 +28,35 @@ class Recorder {
     this.replayContext = options.replayContext || null;
     this.autoReplay = options.autoReplay ?? true; // Default to true
     this.replayScheduled = false;
-    this.port = options.port || null; // MessagePort for cross-context communication
+    this.port = options.transport || options.port || null; // MessagePort or transport for cross-context communication
     this.objectRefCounts = new Map(); // Track reference counts for cross-context objects
-    this.objectRegistry = new Map(); // Store actual objects for reference tracking
+    this.objectRegistry = new ObjectTable(); // Store actual objects for reference tracking
     this.useFinalization = options.useFinalization ?? true; // Enable finalization by default
-    this.debug = options.debug ?? false; // Debug logging for finalization
+    this.debug = options.debug ?? false; // Debug logging for replay and finalization
     this.onerror = options.onerror || null; // Error handler callback
+    this.awaitable = options.awaitable ?? false; // Resolve `await proxy` through evaluate()
+    this.asyncReplay = options.asyncReplay ?? false; // Await pipelined Promises before dependent operations
+    this.captureStacks = options.captureStacks ?? false; // Attach the recording call site to operations
+    this.syncBufferSize = options.syncBufferSize ?? 64 * 1024; // Max evaluateSync() response size in bytes
+    this.syncTimeout = options.syncTimeout ?? 5000; // Max time evaluateSync() blocks, in milliseconds
+    this.allowRemoteFunctions = options.allowRemoteFunctions ?? false; // Run evaluateFunction() requests from the other context
+    this.wireFormat = options.wireFormat ?? 'object'; // Encoding of batches sent through the port: 'object' or 'binary'
+    
+    if (!['object', 'binary'].includes(this.wireFormat)) {
+      throw new TypeError(`[Recorder] wireFormat must be 'object' or 'binary', got ${this.wireFormat}`);
+    }
+    
+    // Chain of async replay batches, keeps batches in order while one waits on a Promise
+    this.replayQueue = Promise.resolve();
+    
+    // Error reports for replayed operations that failed, by resultId (replay side)
+    this.failedOperations = new Map();
+    
+    // ReplayErrors reported by the other context, by resultId (recording side)
+    this.replayErrors = new Map();
+    
+    // Replayed operations since the last flush acknowledgement (replay side)
+    this.replayStats = { succeeded: 0, failed: 0 };
     
     // WeakMap to track functions to their MessageChannels (for reuse)
     this.functionChannels = new WeakMap();
@@ -25,6 +67,30 @@ class Recorder {
     // Pending transferables to be sent with next operations batch
     this.pendingTransferables = [];
     
+    // Streams passed to proxies, sent with the next batch by stream id
+    this.pendingStreams = new Map();
+    
+    // Ports of function channels used for the first time, sent with the next batch by channel id
+    this.pendingFunctionPorts = new Map();
+    
+    // Ports of function channels from the other context, by channel id (replay side)
+    this.functionPorts = new Map();
+    
+    // Options for functions wrapped with handler(), by function (recording side)
+    this.handlerOptions = new WeakMap();
+    
+    // Wrapper functions for function channels, by channelId (replay side)
+    this.functionWrappers = new Map();
+    
+    // Counter for ids of callback arguments sent by reference (replay side)
+    this.remoteObjectCounter = 0;
+    
+    // Stream every recorded operation is appended to, set by exportTo()
+    this.exportStream = null;
+    
+    // Metadata of the file this recorder was imported from, set by Recorder.import()
+    this.metadata = null;
+    
     // Set up FinalizationRegistry for automatic cleanup when objects are garbage collected
     if (this.useFinalization && typeof FinalizationRegistry !== 'undefined') {
       this.finalizationRegistry = new FinalizationRegistry((objectId) => {
@@ -34,7 +100,7 @@ class Recorder {
       
       // FinalizationRegistry for MessageChannel cleanup when functions are GC'd
       this.channelFinalizationRegistry = new FinalizationRegistry((channelId) => {
-        this._cleanupChannel(channelId);
+        this._handleChannelFinalization(channelId);
       });
     } else {
       this.finalizationRegistry = null;
@@ -56,8 +122,16 @@ class Recorder {
    */
   record(operation) {
     if (this.recordingEnabled) {
+      if (this.captureStacks && !operation.callSite) {
+        operation.callSite = this._captureCallSite();
+      }
       this.recordings.push(operation);
       
+      // Saved before it is sent or replayed, which clears the recordings
+      if (this.exportStream) {
+        this._appendToExport(operation);
+      }
+      
       // If using MessagePort, send operations to the other context
       if (this.port && this.autoReplay) {
         if (!this.replayScheduled) {
@@ -79,6 +153,16 @@ class Recorder {
     }
   }
 
+  /**
+   * Find the first stack frame outside of the recorder
+   * @private
+   */
+  _captureCallSite() {
+    const frames = (new Error().stack || '').split('\n').slice(1);
+    const frame = frames.find(line => line.trim() && !line.includes(RECORDER_URL));
+    return frame ? frame.trim().replace(/^at /, '') : null;
+  }
+
   /**
    * Get all recorded operations
    * @returns {Array} Array of recorded operations
@@ -108,6 +192,96 @@ class Recorder {
     this.recordingEnabled = true;
   }
 
+  /**
+   * Export the pending recorded operations as a JSON file
+   * 
+   * Only operations that have not been replayed or sent yet are included. With
+   * `autoReplay` and a replay context or a port, operations are replayed or sent
+   * in a microtask after they are recorded, and export() returns no operations
+   * from then on. Use exportTo() to save every operation of a session.
+   * @param {Object} [metadata] - Saved with the operations, like a session name
+   * @returns {string} JSON text, read it back with Recorder.import()
+   */
+  export(metadata = {}) {
+    return JSON.stringify({
+      ...this._createExportHeader(metadata),
+      operations: encode(this.recordings).value
+    });
+  }
+
+  /**
+   * Append every operation recorded from now on to a stream, one JSON line each
+   * 
+   * The first line is a header with the format version and metadata. Lines are
+   * written as operations are recorded, so a session is saved up to its last
+   * operation even if the process stops. Read it back with Recorder.import().
+   * @param {{write: Function}} writable - Stream to append to, like a Node Writable
+   * @param {Object} [metadata] - Saved in the header, like a session name
+   * @returns {Function} Stops appending
+   */
+  exportTo(writable, metadata = {}) {
+    if (this.exportStream) {
+      throw new Error('[Recorder] exportTo() is already appending to a stream');
+    }
+    
+    writable.write(JSON.stringify(this._createExportHeader(metadata)) + '\n');
+    this.exportStream = writable;
+    
+    return () => {
+      if (this.exportStream === writable) {
+        this.exportStream = null;
+      }
+    };
+  }
+
+  /**
+   * Create a Recorder holding the operations of a file written by export() or exportTo()
+   * 
+   * The operations are pending on the new Recorder: replay them with
+   * replay(context), or send them to another context with flush() when a port
+   * or transport is given.
+   * @param {string|Object} data - File contents, or export() JSON already parsed
+   * @param {Object} [options] - Recorder options, `autoReplay` defaults to false
+   * @returns {Recorder} The Recorder, with the file's metadata in `metadata`
+   */
+  static import(data, options = {}) {
+    const { header, operations } = parseExport(data);
+    
+    const recorder = new Recorder({ autoReplay: false, ...options });
+    recorder.recordings = operations;
+    recorder.metadata = header.metadata;
+    return recorder;
+  }
+
+  /**
+   * @private
+   */
+  _createExportHeader(metadata) {
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      codec: CODEC_VERSION,
+      metadata: { createdAt: new Date().toISOString(), ...metadata }
+    };
+  }
+
+  /**
+   * Write one operation to the exportTo() stream
+   * @private
+   */
+  _appendToExport(operation) {
+    try {
+      this.exportStream.write(JSON.stringify(encode(operation).value) + '\n');
+    } catch (error) {
+      // An operation that can't be saved should not break the recording code
+      if (this.onerror) {
+        this.onerror(error);
+      } else {
+        console.error('[Recorder] Error while exporting an operation:', error);
+      }
+    }
+  }
+
   /**
    * Set the replay context for automatic replay
    * @param {Object} context - The context to replay operations in
@@ -116,6 +290,66 @@ class Recorder {
     this.replayContext = context;
   }
 
+  /**
+   * Wrap a callback with options for how the other context calls it
+   * @param {Function} fn - The callback
+   * @param {Object} [options] - Handler options
+   * @param {boolean} [options.returnValue] - Calls return a Promise of the callback's result
+   * @param {boolean} [options.preventDefault] - Call `event.preventDefault()` synchronously in the other context
+   * @param {boolean} [options.stopPropagation] - Call `event.stopPropagation()` synchronously in the other context
+   * @param {boolean} [options.stopImmediatePropagation] - Call `event.stopImmediatePropagation()` synchronously in the other context
+   * @param {boolean} [options.passive] - Declare the listener passive, which rules out `preventDefault`
+   * @param {boolean} [options.animationFrame] - Deliver at most one call per animation frame, with the latest arguments
+   * @param {number} [options.debounce] - Deliver one call once calls stop for this many milliseconds
+   * @param {boolean} [options.latest] - Keep one call in flight, and only the newest call waiting for it
+   * @param {number} [options.maxQueue] - Drop calls while this many are still being handled
+   * @returns {Function} A function to pass to recorded proxies instead of `fn`
+   */
+  handler(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('[Recorder] handler() expects a function');
+    }
+    if (options.passive && options.preventDefault) {
+      throw new TypeError('[Recorder] handler() cannot combine passive with preventDefault');
+    }
+    
+    const strategies = ['animationFrame', 'debounce', 'latest', 'maxQueue']
+      .filter(strategy => options[strategy] !== undefined && options[strategy] !== false);
+    if (strategies.length > 1) {
+      throw new TypeError(`[Recorder] handler() accepts one delivery strategy, got ${strategies.join(', ')}`);
+    }
+    if (strategies.length && options.returnValue) {
+      throw new TypeError(`[Recorder] handler() cannot combine returnValue with ${strategies[0]}`);
+    }
+    if (options.maxQueue !== undefined && !(Number.isInteger(options.maxQueue) && options.maxQueue > 0)) {
+      throw new TypeError('[Recorder] handler() expects maxQueue to be a positive integer');
+    }
+
+    // A new function per handler() call, so the same callback can be
+    // passed with different options
+    const handler = function(...args) {
+      return fn.apply(this, args);
+    };
+    this.handlerOptions.set(handler, { ...options });
+    return handler;
+  }
+
+  /**
+   * Transfer objects with the next batch instead of copying them. Pass the
+   * objects themselves to recorded proxies, or use the `transfer()` marker.
+   * Typed arrays and DataViews transfer their buffer.
+   * @param {...(ArrayBuffer|ArrayBufferView|MessagePort|ImageBitmap|OffscreenCanvas|ReadableStream)} objects - Objects to transfer
+   */
+  transfer(...objects) {
+    for (const object of objects) {
+      const transferable = ArrayBuffer.isView(object) ? object.buffer : object;
+      if (!isTransferable(transferable)) {
+        throw new TypeError('[Recorder] transfer() expects transferable objects');
+      }
+      this.pendingTransferables.push(transferable);
+    }
+  }
+
   /**
    * Internal method for automatic replay
    * @private
@@ -125,37 +359,81 @@ class Recorder {
       return;
     }
 
-    const recordingsToReplay = [...this.recordings];
-    this.recordings = []; // Clear after copying
-
-    this._replayRecordings(recordingsToReplay, this.replayContext);
+    this._replayPending(this.replayContext);
   }
 
   /**
    * Manually replay recorded operations in a given context
    * @param {Object} context - The context to replay operations in
+   * @returns {Array|Promise<Array>} Replay results, a Promise when `asyncReplay` is enabled
    */
   replay(context) {
+    return this._replayPending(context);
+  }
+
+  /**
+   * Replay the pending recordings in a local context, together with the streams
+   * and function ports recorded alongside them
+   * @private
+   */
+  _replayPending(context) {
     const recordingsToReplay = [...this.recordings];
-    this.recordings = [];
-    return this._replayRecordings(recordingsToReplay, context);
+    this.recordings = []; // Clear after copying
+    
+    // Nothing leaves this context, the ports are used by this recorder directly
+    this._registerFunctionPorts(Object.fromEntries(this.pendingFunctionPorts));
+    this.pendingFunctionPorts.clear();
+    this.pendingTransferables = [];
+    
+    return this._replayRecordings(recordingsToReplay, context, this._takePendingStreams());
+  }
+
+  /**
+   * Register the ports of function channels, by channel id
+   * @private
+   */
+  _registerFunctionPorts(functionPorts = {}) {
+    for (const [channelId, port] of Object.entries(functionPorts)) {
+      this.functionPorts.set(channelId, port);
+    }
+  }
+
+  /**
+   * Take the streams recorded since the last batch, by stream id
+   * @private
+   */
+  _takePendingStreams() {
+    const streams = Object.fromEntries(this.pendingStreams);
+    this.pendingStreams.clear();
+    return streams;
   }
 
   /**
    * Replay a set of recordings
+   * @param {Array} recordings - The operations to replay
+   * @param {Object} context - The context to replay operations in
+   * @param {Object} [streams] - Streams sent with the batch, by stream id
    * @private
    */
-  _replayRecordings(recordings, context) {
+  _replayRecordings(recordings, context, streams = {}) {
+    if (this.asyncReplay) {
+      return this._enqueueReplayTask(() => this._replayRecordingsAsync(recordings, context, streams));
+    }
+    
     const results = [];
-    const objectMap = new Map();
+    // The object table lives on the recorder so ids created by an earlier batch
+    // stay resolvable until their reference count drops to zero
+    const objectMap = this.objectRegistry;
     objectMap.set('globalThis', context);
 
     for (const operation of recordings) {
       try {
-        const result = this._replayOperation(operation, context, objectMap);
+        this._checkDependencies(operation);
+        const result = this._replayOperation(operation, context, objectMap, streams);
         results.push(result);
+        this.replayStats.succeeded++;
       } catch (error) {
-        console.error('Error replaying operation:', operation, error);
+        this._reportReplayError(operation, error);
         results.push({ error: error.message });
       }
     }
@@ -164,62 +442,204 @@ class Recorder {
   }
 
   /**
-   * Replay a single operation
+   * Replay a set of recordings, awaiting pipelined Promises first
+   * 
+   * When an operation refers to an id whose replayed result is a Promise
+   * (e.g. the return value of `fetch()`), the Promise is awaited and its value
+   * replaces it in the object table before the operation runs. Operations run
+   * one after another, so the order of the batch is kept.
    * @private
    */
-  _replayOperation(operation, context, objectMap) {
-    const { type, target, property, args, receiver, constructorName, value, resultId } = operation;
+  async _replayRecordingsAsync(recordings, context, streams = {}) {
+    const results = [];
+    const objectMap = this.objectRegistry;
+    objectMap.set('globalThis', context);
 
-    // Helper to resolve arguments that might be object references or function channels
-    const resolveArgs = (args) => {
-      if (!args) return args;
-      return args.map(arg => {
-        // Check if this is a function channel
-        if (arg && typeof arg === 'object' && arg.__functionChannel) {
-          // Create a wrapper function that sends messages through the channel
-          return this._createFunctionFromChannel(arg.__functionChannel, objectMap);
-        }
-        
-        // Check if this is a transferable stream marker
-        if (arg && typeof arg === 'object' && arg.__transferableStream) {
-          // The stream was transferred, it should be in the MessageEvent ports
-          // For now, return undefined as we'll need to handle this differently
-          return undefined;
-        }
-        
-        // Check if this argument is a recorded object ID marker
-        if (arg && typeof arg === 'object' && arg.__recordedObjectId) {
-          return objectMap.get(arg.__recordedObjectId);
-        }
-        return arg;
-      });
+    for (const operation of recordings) {
+      try {
+        this._checkDependencies(operation);
+        await this._settleDependencies(operation, objectMap);
+        // A pipelined Promise may have rejected while it was awaited
+        this._checkDependencies(operation);
+        const result = this._replayOperation(operation, context, objectMap, streams);
+        this._watchPipelinedResult(operation, result);
+        results.push(result);
+        this.replayStats.succeeded++;
+      } catch (error) {
+        this._reportReplayError(operation, error);
+        results.push({ error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Report the operation as failed when the Promise it returned rejects
+   * 
+   * The handler is attached right away, so a rejection is reported under the
+   * operation's resultId even when no later operation depends on it.
+   * @private
+   */
+  _watchPipelinedResult(operation, result) {
+    if (operation.resultId && result && (typeof result === 'object' || typeof result === 'function') &&
+        typeof result.then === 'function') {
+      Promise.resolve(result).then(undefined, (error) => this._reportReplayError(operation, error));
+    }
+  }
+
+  /**
+   * Queue a task behind the async replay batches that are still running
+   * @private
+   */
+  _enqueueReplayTask(task) {
+    const run = this.replayQueue.then(task);
+    this.replayQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Collect the object ids an operation refers to
+   * @private
+   */
+  _getDependencies(operation) {
+    const { target, receiver, args, value } = operation;
+    const ids = [target, receiver];
+    
+    mapDeep([args, value], (item) => {
+      if (item && typeof item === 'object' && item.__recordedObjectId) {
+        ids.push(item.__recordedObjectId);
+      }
+      return item;
+    });
+    
+    return ids.filter(Boolean);
+  }
+
+  /**
+   * Await pipelined results an operation depends on
+   * @private
+   */
+  async _settleDependencies(operation, objectMap) {
+    for (const id of this._getDependencies(operation)) {
+      await this._settleObject(id, objectMap);
+    }
+  }
+
+  /**
+   * Fail an operation early when it refers to the result of a failed operation
+   * @private
+   */
+  _checkDependencies(operation) {
+    for (const id of this._getDependencies(operation)) {
+      const report = this.failedOperations.get(id);
+      if (report) {
+        const error = new Error(`Depends on failed operation ${id}: ${report.message}`);
+        error.name = report.name;
+        error.dependsOn = id;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Report a failed operation to the recording context
+   * 
+   * The report is remembered under the operation's resultId so that operations
+   * and evaluate() requests depending on it fail as well.
+   * @private
+   */
+  _reportReplayError(operation, error) {
+    this.replayStats.failed++;
+    
+    const report = {
+      resultId: operation.resultId ?? null,
+      operationType: operation.type,
+      property: operation.property,
+      dependsOn: error?.dependsOn ?? null,
+      callSite: operation.callSite ?? null,
+      name: error?.name || 'Error',
+      message: error?.message ?? String(error),
+      stack: error?.stack || null
     };
+    
+    if (report.resultId) {
+      this.failedOperations.set(report.resultId, report);
+    }
+    
+    if (this.port) {
+      this.port.postMessage({ type: 'replayError', ...report });
+    } else if (this.onerror) {
+      this.onerror(new ReplayError(report));
+    } else if (operation.callSite) {
+      console.error(`Error replaying operation recorded at ${operation.callSite}:`, operation, error);
+    } else {
+      console.error('Error replaying operation:', operation, error);
+    }
+  }
 
-    // Helper to resolve a value that might be an object reference or function channel
-    const resolveValue = (val) => {
-      if (val && typeof val === 'object') {
-        if (val.__functionChannel) {
-          return this._createFunctionFromChannel(val.__functionChannel, objectMap);
+  /**
+   * Replace a Promise in the object table with its resolved value
+   * @private
+   */
+  async _settleObject(objectId, objectMap) {
+    const value = objectMap.get(objectId);
+    if (value && (typeof value === 'object' || typeof value === 'function') &&
+        typeof value.then === 'function') {
+      try {
+        objectMap.set(objectId, await value);
+      } catch (error) {
+        // A rejected result is reported for the operation that returned it
+        if (!this.failedOperations.has(objectId)) {
+          throw error;
         }
-        if (val.__transferableStream) {
-          // The stream was transferred
-          return undefined;
+      }
+    }
+  }
+
+  /**
+   * Replay a single operation
+   * @private
+   */
+  _replayOperation(operation, context, objectMap, streams = {}) {
+    const { type, target, property, args, receiver, constructorName, value, resultId, callSite } = operation;
+
+    if (this.debug) {
+      console.log(`[Recorder] Replaying ${type} on ${target}${property ? `.${property}` : ''}${callSite ? ` (recorded at ${callSite})` : ''}`);
+    }
+
+    // Helper to resolve a value that might be an object reference, function channel
+    // or stream, at any depth of arrays, plain objects, Maps and Sets
+    const resolveValue = (val, seen) => mapDeep(val, (item) => {
+      if (item && typeof item === 'object') {
+        // Create a wrapper function that sends messages through the channel
+        if (item.__functionChannel) {
+          return this._createFunctionFromChannel(item.__functionChannel, objectMap, item.options);
+        }
+        // The stream itself was transferred in the batch's streams
+        if (item.__transferableStream) {
+          return streams[item.__transferableStream];
         }
-        if (val.__recordedObjectId) {
-          return objectMap.get(val.__recordedObjectId);
+        if (item.__recordedObjectId) {
+          return objectMap.get(item.__recordedObjectId);
         }
       }
-      return val;
+      return item;
+    }, seen);
+
+    // Helper to resolve arguments, references shared between arguments stay shared
+    const resolveArgs = (args) => {
+      if (!args) return args;
+      const seen = new Map();
+      return args.map(arg => resolveValue(arg, seen));
     };
 
     switch (type) {
       case 'get': {
         const obj = objectMap.get(target) || context;
         const result = obj[property];
-        if (resultId && result !== undefined && result !== null) {
+        if (resultId) {
           objectMap.set(resultId, result);
-          // Store in registry for evaluate()
-          this.objectRegistry.set(resultId, result);
         }
         return result;
       }
@@ -236,10 +656,8 @@ class Recorder {
         const thisArg = objectMap.get(receiver) || context;
         const resolvedArgs = resolveArgs(args);
         const result = fn.apply(thisArg, resolvedArgs);
-        if (resultId && result !== undefined && result !== null) {
+        if (resultId) {
           objectMap.set(resultId, result);
-          // Store in registry for evaluate()
-          this.objectRegistry.set(resultId, result);
         }
         return result;
       }
@@ -248,10 +666,8 @@ class Recorder {
         const Constructor = objectMap.get(target);
         const resolvedArgs = resolveArgs(args);
         const result = new Constructor(...resolvedArgs);
-        if (resultId && result !== undefined && result !== null) {
+        if (resultId) {
           objectMap.set(resultId, result);
-          // Store in registry for evaluate()
-          this.objectRegistry.set(resultId, result);
         }
         return result;
       }
@@ -263,22 +679,61 @@ class Recorder {
 
   /**
    * Create a function wrapper that communicates through a MessageChannel
+   * @param {string} channelId - The function channel id
+   * @param {Map} objectMap - The object table
+   * @param {Object} [options] - Handler options set with `handler()` on the other side
    * @private
    */
-  _createFunctionFromChannel(channelId, objectMap) {
+  _createFunctionFromChannel(channelId, objectMap, options = {}) {
+    // Reuse the wrapper so a callback is the same function every time it shows up,
+    // removeEventListener() has to match what addEventListener() registered
+    if (this.functionWrappers.has(channelId)) {
+      return this.functionWrappers.get(channelId);
+    }
+    
     let callIdCounter = 0;
+    const delivery = this._createDelivery(options, (args) => send(args));
+    
+    // A function that sends calls through the channel
+    const wrapper = (...args) => {
+      // The callback runs later in the other context, event policies from
+      // handler() are applied now while the event is still being dispatched
+      const event = args[0];
+      if (event && typeof event === 'object') {
+        for (const policy of EVENT_POLICIES) {
+          if (options[policy] && typeof event[policy] === 'function') {
+            event[policy]();
+          }
+        }
+      }
+      
+      return delivery.deliver(args);
+    };
     
-    // Return a function that sends calls through the channel
-    return (...args) => {
-      // Get the channel info
-      const channelInfo = this.objectRegistry.get(channelId);
-      if (!channelInfo || !channelInfo.port) {
+    // Values sent over a transport that can't transfer are written with the
+    // JSON codec, which can't read Blobs
+    const encodesValues = this.port?.transfers === false;
+    
+    // Send one call through the channel, `posted` is false when nothing was sent
+    const send = (args) => {
+      const port = this.functionPorts.get(channelId);
+      if (!port) {
         console.warn(`[Recorder] Function channel ${channelId} not found`);
-        return;
+        return { posted: false, result: undefined };
+      }
+      
+      // Strategies that wait for the previous call ask the other side to
+      // acknowledge each call when it has finished
+      if (delivery.acknowledge && !port.onmessage) {
+        port.onmessage = (event) => {
+          if (event.data && event.data.ack) {
+            delivery.acknowledge();
+          }
+        };
       }
       
       // Serialize arguments - replace objects in objectMap with their IDs
-      const serializedArgs = args.map(arg => {
+      const serializeArgs = (byReference) => args.map(arg => {
         // Primitives can be sent directly
         if (arg === null || arg === undefined) return arg;
         if (typeof arg === 'string' || typeof arg === 'number' || 
@@ -286,11 +741,20 @@ class Recorder {
           return arg;
         }
         
-        // Check if this is an object from the replay context that we're tracking
-        for (const [id, obj] of objectMap.entries()) {
-          if (obj === arg) {
-            return { __recordedObjectId: id };
-          }
+        // An object already in the table keeps its id, so an Event passed to
+        // every call doesn't add an entry per call. Entries are released when the
+        // proxies of the other side are disposed or garbage collected
+        const knownId = objectMap.idOf(arg);
+        if (knownId !== undefined) {
+          return { __recordedObjectId: knownId };
+        }
+        
+        // Objects that can't be cloned (Events, DOM nodes) are registered in the
+        // object table, the other side receives a live proxy for them
+        if (byReference || !isStructuredCloneable(arg) || (encodesValues && isBlob(arg))) {
+          const id = `remote_${this.remoteObjectCounter++}`;
+          objectMap.set(id, arg);
+          return { __recordedObjectId: id };
         }
         
         // For other objects, try to send them as-is
@@ -298,59 +762,234 @@ class Recorder {
         return arg;
       });
       
+      const message = { callId: `call_${callIdCounter++}` };
+      if (delivery.acknowledge) {
+        message.ack = true;
+      }
+      const transfer = [];
+      
+      // With returnValue the call gets its own response port and returns a Promise
+      let result;
+      let rejectResult = null;
+      if (options.returnValue) {
+        const responseChannel = new MessageChannel();
+        message.responsePort = responseChannel.port2;
+        transfer.push(responseChannel.port2);
+        
+        result = new Promise((resolve, reject) => {
+          rejectResult = (error) => {
+            responseChannel.port1.close();
+            reject(error);
+          };
+          responseChannel.port1.onmessage = (event) => {
+            responseChannel.port1.close();
+            const { result: value, failed, error } = event.data;
+            if (failed) {
+              reject(new Error(error));
+            } else if (value && typeof value === 'object' && value.__recordedObjectId) {
+              resolve(objectMap.get(value.__recordedObjectId));
+            } else {
+              resolve(value);
+            }
+          };
+        });
+      }
+      
       // Send the function call
       try {
-        channelInfo.port.postMessage({
-          args: serializedArgs,
-          callId: `call_${callIdCounter++}`
-        });
+        port.postMessage({ ...message, args: serializeArgs(false) }, transfer);
       } catch (error) {
-        // If postMessage fails, try with placeholders for non-serializable args
-        console.warn('[Recorder] Some arguments are not serializable, sending placeholders');
-        const placeholderArgs = args.map((arg, idx) => {
-          if (arg === null || arg === undefined) return arg;
-          if (typeof arg === 'string' || typeof arg === 'number' || 
-              typeof arg === 'boolean' || typeof arg === 'bigint') {
-            return arg;
-          }
-          return { __nonSerializable: true, type: typeof arg, index: idx };
-        });
-        
+        // Cloneable containers can still hold values that aren't (a plain object
+        // with a method), send every object argument by reference instead
         try {
-          channelInfo.port.postMessage({
-            args: placeholderArgs,
-            callId: `call_${callIdCounter - 1}`
-          });
+          port.postMessage({ ...message, args: serializeArgs(true) }, transfer);
         } catch (retryError) {
           console.error('[Recorder] Error sending callback args:', retryError);
-          if (this.onerror) {
+          if (rejectResult) {
+            rejectResult(retryError);
+          } else if (this.onerror) {
             this.onerror(retryError);
           }
+          return { posted: false, result };
         }
       }
+      
+      return { posted: true, result };
     };
+    
+    this.functionWrappers.set(channelId, wrapper);
+    return wrapper;
+  }
+
+  /**
+   * Apply the delivery strategy from handler() options to calls of a function wrapper
+   * @param {Object} options - Handler options
+   * @param {Function} send - Sends one call, takes the call's arguments and
+   *   returns `{posted, result}`
+   * @returns {{deliver: Function, acknowledge: Function|null}} `deliver` takes the
+   *   arguments of each call, `acknowledge` is called when the other side finished one
+   * @private
+   */
+  _createDelivery(options, send) {
+    // One call per animation frame, with the latest arguments
+    if (options.animationFrame) {
+      const nextFrame = typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame
+        : (callback) => setTimeout(callback, 16);
+      let latestArgs = null;
+      return {
+        deliver: (args) => {
+          if (!latestArgs) {
+            nextFrame(() => {
+              const args = latestArgs;
+              latestArgs = null;
+              send(args);
+            });
+          }
+          latestArgs = args;
+        },
+        acknowledge: null
+      };
+    }
+    
+    // One call once calls stop for `debounce` milliseconds
+    if (options.debounce !== undefined) {
+      let timer = null;
+      return {
+        deliver: (args) => {
+          clearTimeout(timer);
+          timer = setTimeout(() => send(args), options.debounce);
+        },
+        acknowledge: null
+      };
+    }
+    
+    // At most `maxQueue` unfinished calls, later calls are dropped. With `latest`,
+    // one unfinished call and only the newest call waits for it
+    if (options.latest || options.maxQueue !== undefined) {
+      const limit = options.latest ? 1 : options.maxQueue;
+      let pending = 0;
+      let latestArgs = null;
+      return {
+        deliver: (args) => {
+          if (pending < limit) {
+            pending++;
+            // No acknowledgement comes back for a call that wasn't sent
+            if (!send(args).posted) {
+              pending--;
+            }
+          } else if (options.latest) {
+            latestArgs = args;
+          }
+        },
+        acknowledge: () => {
+          pending--;
+          if (latestArgs) {
+            const args = latestArgs;
+            latestArgs = null;
+            pending++;
+            if (!send(args).posted) {
+              pending--;
+            }
+          }
+        }
+      };
+    }
+    
+    return { deliver: (args) => send(args).result, acknowledge: null };
   }
 
   /**
    * Send operations to the other context via MessagePort
    * @private
    */
-  _sendOperationsViaPort() {
-    if (!this.port || this.recordings.length === 0) {
+  _sendOperationsViaPort(responsePort = null) {
+    if (!this.port || (this.recordings.length === 0 && !responsePort)) {
       return;
     }
 
     const recordingsToSend = [...this.recordings];
     this.recordings = []; // Clear after copying
     
-    const transferablesToSend = [...this.pendingTransferables];
+    // An object can only be listed once, even when it was passed twice
+    const transferablesToSend = [...new Set(this.pendingTransferables)];
     this.pendingTransferables = []; // Clear after copying
 
+    const message = { type: 'replay' };
+    
+    if (this.wireFormat === 'binary') {
+      // Packed into one transferred buffer, values it can't pack are cloned next to it
+      const { buffer, values } = encodeBatch(recordingsToSend);
+      message.batch = buffer;
+      message.values = values;
+      transferablesToSend.push(buffer);
+    } else {
+      message.operations = recordingsToSend;
+    }
+    
+    // Streams and function ports travel in the message body, markers refer to them by id
+    if (this.pendingStreams.size) {
+      message.streams = this._takePendingStreams();
+    }
+    if (this.pendingFunctionPorts.size) {
+      message.functionPorts = Object.fromEntries(this.pendingFunctionPorts);
+      this.pendingFunctionPorts.clear();
+    }
+    
+    // Ask the other side to acknowledge the batch once it has been replayed
+    if (responsePort) {
+      message.responsePort = responsePort;
+      transferablesToSend.push(responsePort);
+    }
+
     // Send operations through the port with transferables
-    this.port.postMessage({
-      type: 'replay',
-      operations: recordingsToSend
-    }, transferablesToSend);
+    this.port.postMessage(message, transferablesToSend);
+  }
+
+  /**
+   * Send pending operations now and wait until they have been replayed
+   * 
+   * In port mode the promise resolves once the replaying Recorder acknowledges
+   * the batch, which also means every batch sent before it has been replayed.
+   * Without a port, pending operations are replayed in the local replay context.
+   * 
+   * @returns {Promise<{succeeded: number, failed: number}>} Operations replayed
+   *   by the other side since the previous flush, rejects when the other side
+   *   could not read the batch
+   */
+  async flush() {
+    if (!this.port) {
+      if (this.replayContext) {
+        await this._replayPending(this.replayContext);
+      }
+      return this._takeReplayStats();
+    }
+    
+    const channel = new MessageChannel();
+    
+    return new Promise((resolve, reject) => {
+      channel.port1.onmessage = (event) => {
+        channel.port1.close();
+        channel.port2.close();
+        if (event.data.error) {
+          reject(new Error(event.data.error));
+        } else {
+          resolve(event.data);
+        }
+      };
+      
+      this._sendOperationsViaPort(channel.port2);
+    });
+  }
+
+  /**
+   * Read and reset the replay counters
+   * @private
+   */
+  _takeReplayStats() {
+    const stats = this.replayStats;
+    this.replayStats = { succeeded: 0, failed: 0 };
+    return stats;
   }
 
   /**
@@ -364,42 +1003,34 @@ class Recorder {
     }
 
     if (data.type === 'replay') {
-      if (!Array.isArray(data.operations)) {
-        console.warn('[Recorder] Invalid replay message: operations must be an array');
+      // A flush() waiting for this batch is told why nothing was replayed
+      const rejectBatch = (reason) => {
+        console.warn(`[Recorder] Invalid replay message: ${reason}`);
+        data.responsePort?.postMessage({ error: `Invalid replay message: ${reason}` });
+      };
+      
+      let operations = data.operations;
+      if (data.batch instanceof ArrayBuffer) {
+        // Sent by a Recorder with wireFormat: 'binary'
+        try {
+          operations = decodeBatch(data.batch, data.values);
+        } catch (error) {
+          rejectBatch(error.message);
+          return;
+        }
+      }
+      if (!Array.isArray(operations)) {
+        rejectBatch('operations must be an array');
         return;
       }
+      let replayed = null;
       if (this.replayContext) {
-        // Extract any transferred ports from the event
-        const transferredPorts = (event && event.ports) || [];
-        
-        // Process operations to map function channels and streams to transferred ports
-        let portIndex = 0;
-        data.operations.forEach(op => {
-          if (op.type === 'set' && op.value && typeof op.value === 'object') {
-            if (op.value.__functionChannel) {
-              // Map the channel ID to the transferred port
-              if (portIndex < transferredPorts.length) {
-                this.objectRegistry.set(op.value.__functionChannel, {
-                  port: transferredPorts[portIndex++]
-                });
-              }
-            }
-          } else if (op.type === 'apply' && Array.isArray(op.args)) {
-            op.args.forEach(arg => {
-              if (arg && typeof arg === 'object' && arg.__functionChannel) {
-                if (portIndex < transferredPorts.length) {
-                  this.objectRegistry.set(arg.__functionChannel, {
-                    port: transferredPorts[portIndex++]
-                  });
-                }
-              }
-            });
-          }
-        });
+        // Ports for function channels used for the first time, by channel id
+        this._registerFunctionPorts(data.functionPorts);
         
         // Replay operations received from the other context
         try {
-          this._replayRecordings(data.operations, this.replayContext);
+          replayed = this._replayRecordings(operations, this.replayContext, data.streams);
         } catch (error) {
           if (this.onerror) {
             this.onerror(error);
@@ -408,24 +1039,48 @@ class Recorder {
           }
         }
       }
-    } else if (data.type === 'refCount') {
+      
+      // Acknowledge a flush() once the batch has been replayed
+      if (data.responsePort) {
+        const acknowledge = () => data.responsePort.postMessage(this._takeReplayStats());
+        Promise.resolve(replayed).then(acknowledge, acknowledge);
+      }
+    } else if (data.type === 'refCount' || data.type === 'finalize') {
       if (typeof data.objectId !== 'string') {
-        console.warn('[Recorder] Invalid refCount message: objectId must be a string');
+        console.warn(`[Recorder] Invalid ${data.type} message: objectId must be a string`);
         return;
       }
-      if (typeof data.delta !== 'number') {
+      if (data.type === 'refCount' && typeof data.delta !== 'number') {
         console.warn('[Recorder] Invalid refCount message: delta must be a number');
         return;
       }
-      // Handle reference count updates
-      this._updateRefCount(data.objectId, data.delta);
+      // Handle reference count updates, a finalized proxy drops one reference
+      this._handleRemoteRefCount(data.objectId, data.type === 'finalize' ? -1 : data.delta);
+    } else if (data.type === 'finalizeFunction') {
+      if (typeof data.channelId !== 'string') {
+        console.warn('[Recorder] Invalid finalizeFunction message: channelId must be a string');
+        return;
+      }
+      // The function was garbage collected in the other context, nothing can call it anymore
+      if (this.asyncReplay) {
+        this._enqueueReplayTask(() => this._releaseFunction(data.channelId));
+      } else {
+        this._releaseFunction(data.channelId);
+      }
+    } else if (data.type === 'dispose') {
+      // The other context is gone, nothing can refer to its objects anymore
+      this._handleRemoteDispose();
+    } else if (data.type === 'replayError') {
+      // Handle an operation that failed in the other context
+      this._handleReplayError(data);
     } else if (data.type === 'callFunction') {
       // Handle function call from the other context
       this._handleFunctionCall(data);
     } else if (data.type === 'registerFunction') {
       // Handle function registration from the other context
       this._handleFunctionRegistration(data, event);
-    } else if (data.type === 'evaluate') {
+    } else if (data.type === 'evaluate' || data.type === 'evaluateBatch' ||
+               data.type === 'evaluateFunction' || data.type === 'evaluateSync') {
       // Handle evaluate request
       this._handleEvaluateRequest(data);
     } else if (data.type === 'proxyGet') {
@@ -436,6 +1091,54 @@ class Recorder {
     }
   }
 
+  /**
+   * Apply a reference count update from the other context
+   * 
+   * Async replay batches may still be waiting to use the object, so updates
+   * are queued behind them.
+   * @private
+   */
+  _handleRemoteRefCount(objectId, delta) {
+    if (this.asyncReplay) {
+      this._enqueueReplayTask(() => this._updateRefCount(objectId, delta));
+    } else {
+      this._updateRefCount(objectId, delta);
+    }
+  }
+
+  /**
+   * Release every object the other context created, after it was disposed
+   * @private
+   */
+  _handleRemoteDispose() {
+    const release = () => {
+      this.objectRegistry.clear();
+      this.objectRefCounts.clear();
+      this.failedOperations.clear();
+      this.functionWrappers.clear();
+      for (const port of this.functionPorts.values()) {
+        port.close();
+      }
+      this.functionPorts.clear();
+    };
+    
+    if (this.asyncReplay) {
+      this._enqueueReplayTask(release);
+    } else {
+      release();
+    }
+  }
+
+  /**
+   * Forget the wrapper and port of a function channel (replay side)
+   * @private
+   */
+  _releaseFunction(channelId) {
+    this.functionWrappers.delete(channelId);
+    this.functionPorts.get(channelId)?.close();
+    this.functionPorts.delete(channelId);
+  }
+
   /**
    * Update reference count for an object
    * @private
@@ -446,20 +1149,29 @@ class Recorder {
 
     if (newCount < 0) {
       console.warn(`[Recorder] Reference count for ${objectId} would become negative (${newCount}). Setting to 0.`);
-      this.objectRefCounts.delete(objectId);
-      this.objectRegistry.delete(objectId);
+      this._releaseObject(objectId);
       return;
     }
 
     if (newCount === 0) {
       // Clean up object when ref count reaches zero
-      this.objectRefCounts.delete(objectId);
-      this.objectRegistry.delete(objectId);
+      this._releaseObject(objectId);
     } else {
       this.objectRefCounts.set(objectId, newCount);
     }
   }
 
+  /**
+   * Forget everything known about an object
+   * @private
+   */
+  _releaseObject(objectId) {
+    this.objectRefCounts.delete(objectId);
+    this.objectRegistry.delete(objectId);
+    this.failedOperations.delete(objectId);
+    this.replayErrors.delete(objectId);
+  }
+
   /**
    * Increment reference count for an object
    * @param {string} objectId - The object identifier
@@ -486,6 +1198,8 @@ class Recorder {
     
     // Send ref count update through port if available
     if (this.port) {
+      // Pending operations may still use the object, they go first
+      this._sendOperationsViaPort();
       this.port.postMessage({
         type: 'refCount',
         objectId: objectId,
@@ -494,6 +1208,27 @@ class Recorder {
     }
   }
 
+  /**
+   * Release a function channel once its function was garbage collected, in
+   * this context and the one replaying its calls
+   * @private
+   */
+  _handleChannelFinalization(channelId) {
+    if (!this.activeChannels.has(channelId)) {
+      return;
+    }
+    
+    if (this.port) {
+      // Pending operations may still carry the channel's port, they go first
+      this._sendOperationsViaPort();
+      this.port.postMessage({ type: 'finalizeFunction', channelId });
+    } else {
+      // Replayed locally, the wrapper lives on this recorder
+      this._releaseFunction(channelId);
+    }
+    this._cleanupChannel(channelId);
+  }
+
   /**
    * Clean up a MessageChannel
    * @private
@@ -519,6 +1254,24 @@ class Recorder {
     // No action needed in the recorder itself
   }
 
+  /**
+   * Handle an error report for an operation that failed in the other context
+   * @private
+   */
+  _handleReplayError(data) {
+    const error = new ReplayError(data);
+    
+    if (error.resultId) {
+      this.replayErrors.set(error.resultId, error);
+    }
+    
+    if (this.onerror) {
+      this.onerror(error);
+    } else {
+      console.error('[Recorder] Error during replay:', error);
+    }
+  }
+
   /**
    * Handle function registration from the other context
    * @private
@@ -526,40 +1279,142 @@ class Recorder {
   _handleFunctionRegistration(data, event) {
     if (!this.replayContext) return;
     
-    const { functionId, targetId, property, port } = data;
+    const { functionId, port } = data;
     
     // Store the port for later use
-    if (!this.objectRegistry.has(functionId)) {
-      this.objectRegistry.set(functionId, { port, targetId, property });
+    if (!this.functionPorts.has(functionId)) {
+      this.functionPorts.set(functionId, port);
+    }
+  }
+
+  /**
+   * Handle evaluate request from the other context
+   * @private
+   */
+  _handleEvaluateRequest(data) {
+    const respond = data.type === 'evaluateSync'
+      ? (response) => this._writeSyncResponse(data.buffer, response)
+      : (response) => this._postEvaluateResponse(data.responsePort, response);
+    
+    if (this.asyncReplay) {
+      const objectIds = [];
+      if (data.type === 'evaluateBatch') {
+        mapShape(data.shape, objectId => objectIds.push(objectId));
+      } else if (data.type === 'evaluateFunction') {
+        mapShape(data.args, objectId => objectIds.push(objectId));
+      } else {
+        objectIds.push(data.objectId);
+      }
+      
+      // Wait for queued batches and resolve pipelined Promises first
+      this._enqueueReplayTask(async () => {
+        for (const objectId of objectIds) {
+          await this._settleObject(objectId, this.objectRegistry);
+        }
+      }).then(
+        () => this._resolveEvaluation(data),
+        (error) => ({ error: error.message })
+      ).then(respond);
+    } else {
+      Promise.resolve(this._resolveEvaluation(data)).then(respond);
+    }
+  }
+
+  /**
+   * Resolve the value of an evaluate request from the object table
+   * @private
+   */
+  _resolveEvaluation(data) {
+    if (!this.replayContext) {
+      return { error: 'No replay context available' };
+    }
+    
+    if (data.type === 'evaluateBatch') {
+      return this._resolveShape(data.shape);
+    }
+    if (data.type === 'evaluateFunction') {
+      return this._evaluateFunction(data);
+    }
+    return this._lookupEvaluation(data.objectId);
+  }
+
+  /**
+   * Rebuild a shape of object id markers, failing on the first unresolvable reference
+   * @private
+   */
+  _resolveShape(shape) {
+    let failure = null;
+    const result = mapShape(shape, (objectId) => {
+      const response = this._lookupEvaluation(objectId);
+      failure ??= response.error ? response : null;
+      return response.result;
+    });
+    
+    return failure || { result };
+  }
+
+  /**
+   * Run the function source of an evaluateFunction() request
+   * @private
+   */
+  async _evaluateFunction(data) {
+    if (!this.allowRemoteFunctions) {
+      return {
+        error: 'Remote function evaluation is disabled, create the replaying Recorder with allowRemoteFunctions: true'
+      };
+    }
+    
+    const resolved = this._resolveShape(data.args);
+    if (resolved.error) {
+      return resolved;
+    }
+    
+    try {
+      const fn = new Function(`return (${data.source})`)();
+      return { result: await fn.apply(this.replayContext, resolved.result) };
+    } catch (error) {
+      return {
+        error: error?.message ?? String(error),
+        replayError: {
+          name: error?.name || 'Error',
+          message: error?.message ?? String(error),
+          stack: error?.stack || null
+        }
+      };
     }
   }
 
   /**
-   * Handle evaluate request from the other context
+   * Look up a single object id for an evaluate request
    * @private
    */
-  _handleEvaluateRequest(data) {
-    const { objectId, responsePort } = data;
-    
-    if (!this.replayContext) {
-      responsePort?.postMessage({ error: 'No replay context available' });
-      return;
+  _lookupEvaluation(objectId) {
+    // Reject values whose operation failed during replay
+    const report = this.failedOperations.get(objectId);
+    if (report) {
+      return { error: report.message, replayError: report };
     }
     
     // Find the object in the object map
-    const obj = this.objectRegistry.get(objectId);
-    
-    if (!obj) {
-      responsePort?.postMessage({ error: `Object ${objectId} not found` });
-      return;
+    if (!this.objectRegistry.has(objectId)) {
+      return { error: `Object ${objectId} not found` };
     }
     
+    return { result: this.objectRegistry.get(objectId) };
+  }
+
+  /**
+   * Send an evaluate response through the request's MessagePort
+   * @private
+   */
+  _postEvaluateResponse(responsePort, response) {
     try {
       // Try to send the actual object back
       // This only works for structured-cloneable objects
-      responsePort?.postMessage({ result: obj });
+      responsePort?.postMessage(response);
     } catch (error) {
       // Object is not serializable
+      const obj = response.result;
       responsePort?.postMessage({ 
         error: `Object cannot be serialized: ${error.message}`,
         objectType: typeof obj,
@@ -568,6 +1423,43 @@ class Recorder {
     }
   }
 
+  /**
+   * Write an evaluate response into the shared buffer of an evaluateSync()
+   * request and wake up the blocked thread
+   * 
+   * Layout: Int32 status, Int32 byte length, then the response as JSON text.
+   * @private
+   */
+  _writeSyncResponse(buffer, response) {
+    const header = new Int32Array(buffer, 0, 2);
+    const body = new Uint8Array(buffer, 8);
+    const encoder = new TextEncoder();
+    
+    let bytes;
+    try {
+      bytes = encoder.encode(JSON.stringify(response, (key, value) => {
+        if (typeof value === 'function' || typeof value === 'symbol' || (value && typeof value === 'object' &&
+            !Array.isArray(value) && ![Object.prototype, null].includes(Object.getPrototypeOf(value)))) {
+          throw new TypeError(`${Object.prototype.toString.call(value)} is not JSON-serializable`);
+        }
+        return value;
+      }));
+    } catch (error) {
+      bytes = encoder.encode(JSON.stringify({ error: `Object cannot be serialized: ${error.message}` }));
+    }
+    
+    if (bytes.length > body.length) {
+      bytes = encoder.encode(JSON.stringify({
+        error: `Result does not fit in the ${body.length} byte evaluateSync buffer`
+      }));
+    }
+    
+    body.set(bytes);
+    Atomics.store(header, 1, bytes.length);
+    Atomics.store(header, 0, SYNC_RESPONSE_READY);
+    Atomics.notify(header, 0);
+  }
+
   /**
    * Handle proxy property get from the other context
    * @private
@@ -615,7 +1507,16 @@ class Recorder {
    * - Symbol values
    * - Complex objects with prototypes
    * 
-   * @param {Object} proxyRef - The proxy reference with __recordedObjectId
+   * Pending operations are sent before the request, so the value reflects
+   * everything recorded so far. With the `awaitable` option, `await proxy`
+   * resolves through this method as well.
+   * 
+   * A plain object or array is walked instead, and every proxy reference in it
+   * is resolved in a single round trip. The result has the same shape:
+   * `await recorder.evaluate({ width: canvas.width, height: canvas.height })`
+   * 
+   * @param {Object} proxyRef - The proxy reference with __recordedObjectId,
+   *   or a plain object or array containing proxy references
    * @returns {Promise<any>} The actual value from the other context (if serializable)
    * @throws {Error} If object cannot be serialized or port not configured
    */
@@ -624,12 +1525,84 @@ class Recorder {
       throw new Error('Cannot evaluate: no MessagePort configured');
     }
     
+    // Objects and arrays of proxy references are resolved in a single round trip
+    if (!isProxyReference(proxyRef) && proxyRef && typeof proxyRef === 'object') {
+      const objectIds = [];
+      const shape = mapShape(proxyRef, (objectId) => {
+        objectIds.push(objectId);
+        return { __recordedObjectId: objectId };
+      });
+      
+      const failedId = objectIds.find(objectId => this.replayErrors.has(objectId));
+      if (failedId) {
+        throw this.replayErrors.get(failedId);
+      }
+      
+      return this._sendEvaluateRequest({ type: 'evaluateBatch', shape });
+    }
+    
     // Extract objectId from proxy reference
     const objectId = proxyRef?.__recordedObjectId;
     if (!objectId) {
       throw new Error('Invalid proxy reference: missing __recordedObjectId');
     }
     
+    // The operation that produced this value is already known to have failed
+    if (this.replayErrors.has(objectId)) {
+      throw this.replayErrors.get(objectId);
+    }
+    
+    return this._sendEvaluateRequest({ type: 'evaluate', objectId });
+  }
+
+  /**
+   * Run a function in the replay context with proxy references resolved
+   * 
+   * The function is sent as source text, so it cannot use variables from its
+   * closure. Proxy references in the arguments (also inside plain objects and
+   * arrays) are replaced with the real objects, `this` is the replay context,
+   * and the structured-cloned return value (awaited if it is a Promise) is
+   * resolved. The replaying Recorder must be created with
+   * `allowRemoteFunctions: true`, since this runs arbitrary code there.
+   * 
+   * @param {Function} fn - Arrow function or function expression to run
+   * @param {...any} args - Arguments, usually proxy references
+   * @returns {Promise<any>} The function's return value
+   */
+  async evaluateFunction(fn, ...args) {
+    if (!this.port) {
+      throw new Error('Cannot evaluate: no MessagePort configured');
+    }
+    if (typeof fn !== 'function') {
+      throw new TypeError('evaluateFunction() expects a function');
+    }
+    
+    const objectIds = [];
+    const encodedArgs = mapShape(args, (objectId) => {
+      objectIds.push(objectId);
+      return { __recordedObjectId: objectId };
+    });
+    
+    const failedId = objectIds.find(objectId => this.replayErrors.has(objectId));
+    if (failedId) {
+      throw this.replayErrors.get(failedId);
+    }
+    
+    return this._sendEvaluateRequest({
+      type: 'evaluateFunction',
+      source: fn.toString(),
+      args: encodedArgs
+    });
+  }
+
+  /**
+   * Send an evaluate request and wait for the response on a new MessageChannel
+   * @private
+   */
+  _sendEvaluateRequest(message) {
+    // Send pending operations first so the object exists on the other side
+    this._sendOperationsViaPort();
+    
     // Create a new MessageChannel for this evaluation
     const channel = new MessageChannel();
     
@@ -638,7 +1611,9 @@ class Recorder {
         channel.port1.close();
         channel.port2.close();
         
-        if (event.data.error) {
+        if (event.data.replayError) {
+          reject(new ReplayError(event.data.replayError));
+        } else if (event.data.error) {
           reject(new Error(event.data.error));
         } else {
           resolve(event.data.result);
@@ -647,13 +1622,71 @@ class Recorder {
       
       // Send evaluate request with response port
       this.port.postMessage({
-        type: 'evaluate',
-        objectId,
+        ...message,
         responsePort: channel.port2
       }, [channel.port2]);
     });
   }
 
+  /**
+   * Synchronously evaluate a proxy reference from a thread that is allowed to block
+   * 
+   * Sends pending operations and an evaluate request carrying a SharedArrayBuffer,
+   * then blocks with `Atomics.wait` until the replaying side has written the
+   * value into the buffer. Only usable where blocking is allowed (Workers, Node
+   * `worker_threads`), and the value travels as JSON, so it must be made of
+   * primitives, plain objects and arrays.
+   * 
+   * @param {Object} proxyRef - The proxy reference with __recordedObjectId
+   * @returns {any} The actual value from the other context
+   * @throws {Error} If the value cannot be serialized, the request times out or blocking is not possible
+   */
+  evaluateSync(proxyRef) {
+    if (!this.port) {
+      throw new Error('Cannot evaluate: no MessagePort configured');
+    }
+    if (typeof SharedArrayBuffer === 'undefined' || typeof Atomics === 'undefined') {
+      throw new Error('Cannot evaluateSync: SharedArrayBuffer and Atomics are not available');
+    }
+    
+    const objectId = proxyRef?.__recordedObjectId;
+    if (!objectId) {
+      throw new Error('Invalid proxy reference: missing __recordedObjectId');
+    }
+    
+    if (this.replayErrors.has(objectId)) {
+      throw this.replayErrors.get(objectId);
+    }
+    
+    // Send pending operations first so the object exists on the other side
+    this._sendOperationsViaPort();
+    
+    const buffer = new SharedArrayBuffer(8 + this.syncBufferSize);
+    const header = new Int32Array(buffer, 0, 2);
+    
+    this.port.postMessage({
+      type: 'evaluateSync',
+      objectId,
+      buffer
+    });
+    
+    if (Atomics.wait(header, 0, 0, this.syncTimeout) === 'timed-out') {
+      throw new Error(`evaluateSync timed out after ${this.syncTimeout}ms waiting for ${objectId}`);
+    }
+    
+    // TextDecoder does not accept views on shared memory, so copy the bytes out
+    const bytes = new Uint8Array(buffer, 8, Atomics.load(header, 1)).slice();
+    const response = JSON.parse(new TextDecoder().decode(bytes));
+    
+    if (response.replayError) {
+      throw new ReplayError(response.replayError);
+    }
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    return response.result;
+  }
+
   /**
    * Handle finalization when a proxy is garbage collected
    * @private
@@ -669,6 +1702,8 @@ class Recorder {
       
       // Send finalization notification through port if available
       if (this.port) {
+        // Pending operations may still use the object, they go first
+        this._sendOperationsViaPort();
         this.port.postMessage({
           type: 'finalize',
           objectId: objectId
@@ -698,6 +1733,22 @@ class Recorder {
     }
   }
 
+  /**
+   * Count what this recorder keeps alive for the other context
+   * @returns {{objects: number, referenced: number, functionChannels: number, functionWrappers: number}}
+   *   `objects` replayed objects in the object table and `functionWrappers` on
+   *   the replay side, `referenced` ids with a reference count and
+   *   `functionChannels` open function channels on the recording side
+   */
+  getObjectStats() {
+    return {
+      objects: [...this.objectRegistry.keys()].filter(id => id !== 'globalThis').length,
+      referenced: this.objectRefCounts.size,
+      functionChannels: this.activeChannels.size,
+      functionWrappers: this.functionWrappers.size
+    };
+  }
+
   /**
    * Dispose method for Symbol.dispose support
    */
@@ -705,15 +1756,216 @@ class Recorder {
     // Clean up all references
     this.objectRefCounts.clear();
     this.objectRegistry.clear();
+    this.failedOperations.clear();
+    this.replayErrors.clear();
+    this.functionWrappers.clear();
+    this.exportStream = null;
+    
+    // Close function channels from both directions
+    for (const port of this.functionPorts.values()) {
+      port.close();
+    }
+    this.functionPorts.clear();
+    for (const channelId of [...this.activeChannels.keys()]) {
+      this._cleanupChannel(channelId);
+    }
+    this.pendingStreams.clear();
+    this.pendingFunctionPorts.clear();
     
-    // Close the port if it exists
+    // Close the port if it exists, after letting the other side release
+    // everything it created for this recorder
     if (this.port) {
+      this._sendOperationsViaPort();
+      this.port.postMessage({ type: 'dispose' });
       this.port.close();
       this.port = null;
     }
   }
 }
 
+/**
+ * Check if a value is a proxy reference (a recorded proxy or an id marker)
+ * @param {any} value - The value to check
+ * @returns {boolean}
+ */
+function isProxyReference(value) {
+  return (typeof value === 'object' || typeof value === 'function') && value !== null &&
+    typeof value.__recordedObjectId === 'string';
+}
+
+/**
+ * Copy plain objects and arrays, replacing proxy references along the way
+ * @param {any} value - The value to walk
+ * @param {Function} mapReference - Called with each object id, returns the replacement
+ * @returns {any} The copied value
+ */
+function mapShape(value, mapReference) {
+  if (isProxyReference(value)) {
+    return mapReference(value.__recordedObjectId);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapShape(item, mapReference));
+  }
+  if (value && typeof value === 'object' &&
+      [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = mapShape(item, mapReference);
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Check if a value can be sent with the structured clone algorithm
+ * @param {any} value - The value to check
+ * @returns {boolean}
+ */
+function isStructuredCloneable(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'symbol') return false;
+
+  const type = typeof value;
+  if (type === 'string' || type === 'number' || type === 'boolean' || type === 'bigint') {
+    return true;
+  }
+
+  // Check for known structured cloneable types
+  if (value instanceof Date || value instanceof RegExp) return true;
+  if (value instanceof Map || value instanceof Set) return true;
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return true;
+  if (isBlob(value)) return true;
+  if (typeof ImageData !== 'undefined' && value instanceof ImageData) return true;
+
+  // Plain objects and arrays are cloneable
+  if (Array.isArray(value)) return true;
+  if (Object.getPrototypeOf(value) === Object.prototype) return true;
+
+  return false;
+}
+
+/**
+ * Check if a value is a Blob or a File
+ * @param {any} value - The value to check
+ * @returns {boolean}
+ */
+function isBlob(value) {
+  return typeof Blob !== 'undefined' && value instanceof Blob;
+}
+
+/**
+ * Check if a value can be put in a postMessage() transfer list
+ * @param {any} value - The value to check
+ * @returns {boolean}
+ */
+function isTransferable(value) {
+  if (!value || typeof value !== 'object') return false;
+  
+  const types = [
+    'ArrayBuffer', 'MessagePort', 'ImageBitmap', 'OffscreenCanvas',
+    'ReadableStream', 'WritableStream', 'TransformStream', 'VideoFrame', 'AudioData'
+  ];
+  return types.some(type => typeof globalThis[type] === 'function' && value instanceof globalThis[type]);
+}
+
+/**
+ * The replay-side object table: objects by id, and the id of each object
+ * for callback arguments that are already in the table
+ * @private
+ */
+class ObjectTable extends Map {
+  constructor() {
+    super();
+    this.ids = new WeakMap();
+  }
+
+  set(id, value) {
+    super.set(id, value);
+    if (value !== null && (typeof value === 'object' || typeof value === 'function')) {
+      this.ids.set(value, id);
+    }
+    return this;
+  }
+
+  // The latest id of an object, unless that id has been released since
+  idOf(value) {
+    const id = this.ids.get(value);
+    return id !== undefined && this.get(id) === value ? id : undefined;
+  }
+}
+
+/**
+ * A value wrapped with transfer()
+ * @private
+ */
+class TransferredValue {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * Mark a value to be transferred to the other context instead of copied, when it
+ * is passed to a recorded proxy. Typed arrays and DataViews transfer their buffer.
+ * @param {ArrayBuffer|ArrayBufferView|MessagePort|ImageBitmap|OffscreenCanvas|ReadableStream} value - The value to transfer
+ * @returns {TransferredValue} Pass this in place of the value
+ */
+function transfer(value) {
+  const transferable = ArrayBuffer.isView(value) ? value.buffer : value;
+  if (!isTransferable(transferable)) {
+    throw new TypeError('[Recorder] transfer() expects a transferable object');
+  }
+  return new TransferredValue(value);
+}
+
+/**
+ * Read a file written by export() or exportTo()
+ * @param {string|Object} data - JSON or NDJSON text, or export() JSON already parsed
+ * @returns {{header: Object, operations: Array}} The file header and decoded operations
+ */
+function parseExport(data) {
+  let header = data;
+  let encoded = null;
+  
+  if (typeof data === 'string') {
+    try {
+      header = JSON.parse(data);
+    } catch (error) {
+      // exportTo() files are a header line followed by one operation per line
+      const lines = data.split('\n').filter(line => line.trim());
+      try {
+        header = JSON.parse(lines[0]);
+      } catch (headerError) {
+        header = null;
+      }
+      encoded = [];
+      lines.slice(1).forEach((line, index) => {
+        try {
+          encoded.push(JSON.parse(line));
+        } catch (lineError) {
+          // The last line may have been cut off when the process stopped
+          if (index !== lines.length - 2) throw lineError;
+        }
+      });
+    }
+  }
+  
+  if (!header || header.format !== EXPORT_FORMAT) {
+    throw new TypeError('[Recorder] Not a file written by export() or exportTo()');
+  }
+  if (header.version !== EXPORT_VERSION) {
+    throw new TypeError(`[Recorder] Unsupported export version ${header.version}, expected ${EXPORT_VERSION}`);
+  }
+  
+  // Lines are encoded one by one, export() encodes all operations at once.
+  // A header line on its own parses as JSON, it is an exportTo() file without operations.
+  const operations = encoded
+    ? encoded.map(value => decode({ version: header.codec, value }))
+    : decode({ version: header.codec, value: header.operations ?? [] });
+  return { header, operations };
+}
+
 /**
  * Create a recording handler for Proxy
  * @param {Recorder} recorder - The recorder instance
@@ -759,30 +2011,6 @@ function createRecordHandler(recorder, targetId = 'globalThis', sharedObjectIds
     return false;
   }
 
-  // Helper to check if value can be structured cloned
-  function isStructuredCloneable(value) {
-    if (value === null || value === undefined) return true;
-    if (typeof value === 'symbol') return false;
-    
-    const type = typeof value;
-    if (type === 'string' || type === 'number' || type === 'boolean' || type === 'bigint') {
-      return true;
-    }
-    
-    // Check for known structured cloneable types
-    if (value instanceof Date || value instanceof RegExp) return true;
-    if (value instanceof Map || value instanceof Set) return true;
-    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return true;
-    if (value instanceof Blob || value instanceof File) return true;
-    if (typeof ImageData !== 'undefined' && value instanceof ImageData) return true;
-    
-    // Plain objects and arrays are cloneable
-    if (Array.isArray(value)) return true;
-    if (Object.getPrototypeOf(value) === Object.prototype) return true;
-    
-    return false;
-  }
-
   // Helper to create or reuse a MessageChannel for a function
   function getOrCreateFunctionChannel(fn) {
     // Check if we already have a channel for this function
@@ -795,7 +2023,8 @@ function createRecordHandler(recorder, targetId = 'globalThis', sharedObjectIds
       
       // Set up listener on port1 to execute the function when called
       channel.port1.onmessage = (event) => {
-        const { args, callId, responsePort } = event.data;
+        const { args, callId, responsePort, ack } = event.data;
+        let result;
         
         try {
           // Deserialize arguments - create proxy references for recorded objects
@@ -808,19 +2037,23 @@ function createRecordHandler(recorder, targetId = 'globalThis', sharedObjectIds
           });
           
           // Call the function
-          const result = fn(...deserializedArgs);
+          result = fn(...deserializedArgs);
           
           // Send result back if responsePort provided
           if (responsePort) {
-            responsePort.postMessage({ callId, result });
+            respondWithResult(responsePort, callId, result);
           }
         } catch (error) {
           if (responsePort) {
-            responsePort.postMessage({ callId, error: error.message });
+            responsePort.postMessage({ callId, failed: true, error: describeError(error) });
           } else if (recorder.onerror) {
             recorder.onerror(error);
           }
         }
+        
+        if (ack) {
+          acknowledgeCall(channel.port1, callId, result);
+        }
       };
       
       channelInfo = {
@@ -841,81 +2074,111 @@ function createRecordHandler(recorder, targetId = 'globalThis', sharedObjectIds
     return channelInfo;
   }
 
-  // Create a proxy reference for an object passed to a callback
-  function createProxyReferenceForCallback(objectId) {
-    // Create a proxy that records operations on the object from the other context
-    const proxyHandler = {
-      get(target, property) {
-        if (property === '__recordedObjectId') {
-          return objectId;
-        }
-        
-        // For now, return a simple proxy that tracks the property access
-        const resultId = `obj_${counter.value++}`;
-        
-        recorder.record({
-          type: 'get',
-          target: objectId,
-          property: String(property),
-          resultId: resultId
-        });
-        
-        return createDummyObject(resultId);
-      },
+  // Answer a callback call that expects a return value. Promises are awaited and
+  // operations the callback recorded are sent ahead of the result
+  async function respondWithResult(responsePort, callId, result) {
+    try {
+      const value = isProxyReference(result) ? result : await result;
       
-      set(target, property, value) {
-        const serializedValue = (value && typeof value === 'object' && getObjectId(value))
-          ? { __recordedObjectId: getObjectId(value) }
-          : value;
-        
-        recorder.record({
-          type: 'set',
-          target: objectId,
-          property: String(property),
-          value: serializedValue
-        });
-        
-        return true;
+      // A proxy is sent as a reference, the object has to be replayed before
+      // the caller can look it up
+      if (isProxyReference(value)) {
+        await recorder.flush();
+        responsePort.postMessage({ callId, result: { __recordedObjectId: value.__recordedObjectId } });
+        return;
       }
-    };
+      
+      recorder._sendOperationsViaPort();
+      try {
+        responsePort.postMessage({ callId, result: value });
+      } catch (error) {
+        responsePort.postMessage({ callId, failed: true, error: 'Callback result cannot be serialized' });
+      }
+    } catch (error) {
+      responsePort.postMessage({ callId, failed: true, error: describeError(error) });
+    }
+  }
+
+  // The message of a thrown value, callbacks can throw or reject with anything
+  function describeError(error) {
+    return String(error?.message ?? error);
+  }
+
+  // Tell the other side a call has finished, once the Promise it returned settles
+  function acknowledgeCall(port, callId, result) {
+    const finished = isProxyReference(result) ? Promise.resolve() : Promise.resolve(result);
+    const acknowledge = () => port.postMessage({ ack: callId });
+    finished.then(acknowledge, acknowledge);
+  }
+
+  // Create the channel marker for a function and add its port to transferables.
+  // The port only travels with the first batch that uses the function, later
+  // batches refer to the channel by id
+  function serializeFunction(fn) {
+    const channelInfo = getOrCreateFunctionChannel(fn);
+    if (!channelInfo.transferred) {
+      channelInfo.transferred = true;
+      recorder.pendingFunctionPorts.set(channelInfo.channelId, channelInfo.port2);
+      recorder.pendingTransferables.push(channelInfo.port2);
+    }
     
-    const proxy = new Proxy({}, proxyHandler);
-    objectIds.set(proxy, objectId);
-    return proxy;
+    const marker = { __functionChannel: channelInfo.channelId };
+    const options = recorder.handlerOptions.get(fn);
+    if (options) {
+      marker.options = options;
+    }
+    return marker;
   }
 
-  // Serialize arguments, converting proxy objects to their IDs
-  function serializeArgs(args) {
-    return args.map(arg => {
+  // Create the marker for a stream. The stream itself is transferred in the
+  // next batch's streams, under the marker's id
+  function serializeStream(stream) {
+    const streamId = `stream_${counter.value++}`;
+    recorder.pendingStreams.set(streamId, stream);
+    recorder.pendingTransferables.push(stream);
+    return { __transferableStream: streamId };
+  }
+
+  // Create a proxy reference for an object passed to a callback
+  function createProxyReferenceForCallback(objectId) {
+    // A full recording proxy, so event.target.tagName or event.preventDefault()
+    // are recorded and replayed against the live object on the other side
+    return createDummyObject(objectId);
+  }
+
+  // Serialize a value passed to a proxy. Proxies, functions and streams become
+  // markers at any depth of arrays, plain objects, Maps and Sets
+  function serializeValue(value, seen) {
+    return mapDeep(value, (item) => {
+      // Values wrapped with transfer() are sent as-is and transferred
+      if (item instanceof TransferredValue) {
+        recorder.transfer(item.value);
+        return item.value;
+      }
+      
       // Check if this is a recorded object/proxy first (including function proxies)
-      if (arg && typeof arg === 'object') {
-        if (hasObjectId(arg)) {
-          return { __recordedObjectId: getObjectId(arg) };
-        }
+      if ((typeof item === 'object' || typeof item === 'function') && item !== null && hasObjectId(item)) {
+        return { __recordedObjectId: getObjectId(item) };
       }
       
-      // Check if this is a proxy function
-      if (typeof arg === 'function') {
-        if (hasObjectId(arg)) {
-          // This is a proxy function, not a real callback
-          return { __recordedObjectId: getObjectId(arg) };
-        }
-        
-        // This is a real user function - create MessageChannel
-        const channelInfo = getOrCreateFunctionChannel(arg);
-        // Add port to transferables
-        recorder.pendingTransferables.push(channelInfo.port2);
-        return { __functionChannel: channelInfo.channelId };
+      // This is a real user function - create MessageChannel
+      if (typeof item === 'function') {
+        return serializeFunction(item);
       }
       
       // Handle streams - mark for transfer
-      if (isTransferableStream(arg)) {
-        recorder.pendingTransferables.push(arg);
-        return { __transferableStream: true };
+      if (isTransferableStream(item)) {
+        return serializeStream(item);
       }
       
-      return arg;
-    });
+      return item;
+    }, seen);
+  }
+
+  // Serialize arguments, references shared between arguments stay shared
+  function serializeArgs(args) {
+    const seen = new Map();
+    return args.map(arg => serializeValue(arg, seen));
   }
 
   // Create a dummy function that acts as a placeholder
@@ -949,12 +2212,12 @@ function createRecordHandler(recorder, targetId = 'globalThis', sharedObjectIds
         enumerable: false,
         configurable: true
       });
-      
-      // Increment ref count immediately when proxy is created
-      // This represents the fact that the proxy exists and may be used
-      if (recorder && id) {
-        recorder.incrementRefCount(id);
-      }
+    }
+    
+    // Increment ref count immediately when proxy is created
+    // This represents the fact that the proxy exists and may be used
+    if (recorder && id) {
+      recorder.incrementRefCount(id);
     }
     
     // Register proxy with FinalizationRegistry for automatic cleanup
@@ -969,9 +2232,16 @@ function createRecordHandler(recorder, targetId = 'globalThis', sharedObjectIds
   return {
     get(target, property, receiver) {
       // Special handling for common property checks
+      if (property === '__recordedObjectId') {
+        return targetId;
+      }
       if (property === 'then') {
-        // Prevent proxy from being treated as a thenable
-        return undefined;
+        // Prevent proxy from being treated as a thenable unless awaiting
+        // should resolve the value from the other context
+        if (!recorder.awaitable) {
+          return undefined;
+        }
+        return (resolve, reject) => recorder.evaluate(receiver).then(resolve, reject);
       }
       if (property === Symbol.toStringTag) {
         return 'RecorderProxy';
@@ -980,6 +2250,11 @@ function createRecordHandler(recorder, targetId = 'globalThis', sharedObjectIds
         return undefined;
       }
       
+      if (typeof Symbol.dispose !== 'undefined' && property === Symbol.dispose) {
+        // Releases this proxy's reference instead of recording a call
+        return Reflect.get(target, property);
+      }
+      
       // Don't actually get the value - just record the operation
       const resultId = `obj_${counter.value++}`;
       
@@ -996,49 +2271,11 @@ function createRecordHandler(recorder, targetId = 'globalThis', sharedObjectIds
     },
 
     set(target, property, value, receiver) {
-      // Handle function assignments
-      if (typeof value === 'function') {
-        const channelInfo = getOrCreateFunctionChannel(value);
-        
-        // Record the set operation with function channel info
-        recorder.record({
-          type: 'set',
-          target: targetId,
-          property: String(property),
-          value: { __functionChannel: channelInfo.channelId },
-          receiver: getObjectId(receiver)
-        });
-        
-        // Add port to transferables
-        recorder.pendingTransferables.push(channelInfo.port2);
-        
-        return true;
-      }
-      
-      // Handle streams - mark for transfer
-      if (isTransferableStream(value)) {
-        recorder.record({
-          type: 'set',
-          target: targetId,
-          property: String(property),
-          value: { __transferableStream: true },
-          receiver: getObjectId(receiver)
-        });
-        
-        recorder.pendingTransferables.push(value);
-        return true;
-      }
-      
-      // Serialize value if it's a recorded object
-      const serializedValue = (value && typeof value === 'object' && getObjectId(value))
-        ? { __recordedObjectId: getObjectId(value) }
-        : value;
-
       recorder.record({
         type: 'set',
         target: targetId,
         property: String(property),
-        value: serializedValue,
+        value: serializeValue(value),
         receiver: getObjectId(receiver)
       });
 
@@ -1117,6 +2354,24 @@ class RecordedObjectHandle {
   }
 }
 
+/**
+ * ReplayError - An operation that failed while being replayed in the other context
+ * Carries the failing operation's resultId, the remote error name, message and stack,
+ * and the recording call site when `captureStacks` is enabled
+ */
+class ReplayError extends Error {
+  constructor(report) {
+    super(report.message);
+    this.name = report.name || 'ReplayError';
+    this.resultId = report.resultId ?? null;
+    this.operationType = report.operationType ?? null;
+    this.property = report.property ?? null;
+    this.dependsOn = report.dependsOn ?? null;
+    this.callSite = report.callSite ?? null;
+    this.remoteStack = report.stack || null;
+  }
+}
+
 /**
  * Create a recorded object handle that supports `using` keyword
  * @param {Recorder} recorder - The recorder instance
@@ -1132,4 +2387,4 @@ function createRecordedObject(recorder, target = {}) {
 }
 
 // Export for ES modules
-export { Recorder, createRecordHandler, RecordedObjectHandle, createRecordedObject };
+export { Recorder, createRecordHandler, RecordedObjectHandle, ReplayError, createRecordedObject, transfer };
@@ -0,0 +1,200 @@
+/**
+ * Tests for the binary batch encoding
+ */
+
+import { Recorder, createRecordHandler } from './recorder.js';
+import { BATCH_VERSION, encodeBatch, decodeBatch } from './batch.js';
+
+let passed = 0;
+let failed = 0;
+
+// Tests run one at a time, an async test is awaited before the next one starts
+let queue = Promise.resolve();
+
+function test(name, fn) {
+  queue = queue.then(async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      console.error(error.stack);
+      failed++;
+    }
+  });
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Compare operations field by field, in any key order
+function isEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (a instanceof Map) return b instanceof Map && isEqual([...a], [...b]);
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+}
+
+// Encode and decode, cloning the buffer and values like postMessage() would
+function roundTrip(operations) {
+  const { buffer, values } = encodeBatch(operations);
+  return decodeBatch(structuredClone(buffer), structuredClone(values));
+}
+
+console.log('Running Binary Batch Tests\n');
+
+// Test 1: Recorded operations decode to the same operations
+test('Recorded operations round-trip', () => {
+  const recorder = new Recorder({ autoReplay: false, captureStacks: true });
+  const proxied = new Proxy({}, createRecordHandler(recorder));
+
+  const canvas = proxied.document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ff0000';
+  context.fillRect(0, -12, 1.5, 2 ** 40);
+  context.lineWidth = -0;
+  context.globalAlpha = NaN;
+  context.setLineDash([4, 2]);
+  context.drawImage(canvas, undefined, null, true, false, 12n);
+  canvas.dataset = new Map([['id', 1]]);
+  new proxied.Image(100, 100);
+  proxied.console.log.call(null, canvas);
+
+  const recordings = recorder.getRecordings();
+  const decoded = roundTrip(recordings);
+  assert(decoded.length === recordings.length, 'Should decode every operation');
+  assert(isEqual(decoded, recordings), 'Should decode equal operations');
+  assert(Object.is(decoded.find(op => op.property === 'lineWidth').value, -0), 'Should keep -0');
+
+  recorder[Symbol.dispose]();
+});
+
+// Test 2: Operations the layout doesn't know are kept whole
+test('Unknown operation types and fields round-trip', () => {
+  const operations = [
+    { type: 'custom', target: 'globalThis', payload: { nested: true } },
+    { type: 'get', target: 'globalThis', property: 'x', resultId: 'obj_1', extra: 1 },
+    { type: 'get', target: 'obj_007', property: 'y', receiver: 'remote_3', resultId: 'obj_9007199254740991' }
+  ];
+  const decoded = roundTrip(operations);
+  assert(isEqual(decoded, operations), 'Should decode equal operations');
+});
+
+// Test 3: Repeated names and ids are packed
+test('Batches from a loop are smaller than JSON', () => {
+  const recorder = new Recorder({ autoReplay: false });
+  const proxied = new Proxy({}, createRecordHandler(recorder));
+
+  const element = proxied.document.getElementById('sprite');
+  for (let frame = 0; frame < 1000; frame++) {
+    element.style.transform = `translateX(${frame}px)`;
+    element.style.opacity = frame / 1000;
+  }
+
+  const recordings = recorder.getRecordings();
+  const { buffer, values } = encodeBatch(recordings);
+  const json = JSON.stringify(recordings);
+  assert(values.length === 0, 'Should pack every value');
+  assert(buffer.byteLength * 2 < json.length, `Should be less than half the JSON size (${buffer.byteLength} vs ${json.length})`);
+
+  const text = new TextDecoder().decode(buffer);
+  assert(text.split('opacity').length === 2, 'Should write a property name once per batch');
+
+  recorder[Symbol.dispose]();
+});
+
+// Test 4: Broken or foreign batches
+test('Unsupported versions and truncated batches throw TypeErrors', () => {
+  const { buffer } = encodeBatch([{ type: 'get', target: 'globalThis', property: 'document', resultId: 'obj_0' }]);
+
+  const newer = new Uint8Array(buffer.slice(0));
+  newer[0] = BATCH_VERSION + 1;
+
+  for (const input of [newer.buffer, buffer.slice(0, buffer.byteLength - 1)]) {
+    let thrown = null;
+    try {
+      decodeBatch(input);
+    } catch (error) {
+      thrown = error;
+    }
+    assert(thrown instanceof TypeError, 'Should throw a TypeError');
+  }
+});
+
+// Test 5: Binary batches over a MessagePort
+test('Recorders with wireFormat binary replay through MessagePort', async () => {
+  const messageChannel = new MessageChannel();
+  const clicks = [];
+
+  const mockContext = {
+    document: {
+      createElement(tag) {
+        return {
+          tagName: tag,
+          addEventListener(type, listener) {
+            listener({ type, detail: 2 });
+          }
+        };
+      }
+    }
+  };
+
+  const recordingRecorder = new Recorder({ port: messageChannel.port1, wireFormat: 'binary' });
+  const replayRecorder = new Recorder({ port: messageChannel.port2, replayContext: mockContext });
+
+  const sent = [];
+  const postMessage = recordingRecorder.port.postMessage.bind(recordingRecorder.port);
+  recordingRecorder.port.postMessage = (message, transfer) => {
+    sent.push({ message, transfer });
+    postMessage(message, transfer);
+  };
+
+  const proxied = new Proxy({}, createRecordHandler(recordingRecorder));
+  const button = proxied.document.createElement('button');
+  button.addEventListener('click', (event) => clicks.push(event.detail));
+  button.title = 'Press';
+
+  const stats = await recordingRecorder.flush();
+  assert(stats.succeeded === 6 && stats.failed === 0, `Should replay every operation (got ${JSON.stringify(stats)})`);
+  assert(await recordingRecorder.evaluate(button.title) === 'Press', 'Should replay assignments');
+
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert(clicks.length === 1 && clicks[0] === 2, 'Callbacks should be called');
+
+  const replay = sent.find(({ message }) => message.type === 'replay');
+  assert(!('operations' in replay.message), 'Should not send operation objects');
+  assert(replay.transfer.includes(replay.message.batch), 'Should transfer the batch buffer');
+
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 6: Unknown wire formats
+test('Recorder rejects unknown wire formats', () => {
+  let thrown = null;
+  try {
+    new Recorder({ wireFormat: 'xml' });
+  } catch (error) {
+    thrown = error;
+  }
+  assert(thrown instanceof TypeError, 'Should throw a TypeError');
+});
+
+// Summary
+await queue;
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${passed}`);
+console.log(`Tests failed: ${failed}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -2,22 +2,27 @@
  * Tests for Bidirectional Function Callbacks
  */
 
-import { Recorder, createRecordHandler } from './recorder.js';
+import { Recorder, createRecordHandler, transfer } from './recorder.js';
 
 let passed = 0;
 let failed = 0;
 
+// Tests run one at a time, an async test is awaited before the next one starts
+let queue = Promise.resolve();
+
 function test(name, fn) {
-  try {
-    fn();
-    console.log(`✓ ${name}`);
-    passed++;
-  } catch (error) {
-    console.error(`✗ ${name}`);
-    console.error(`  Error: ${error.message}`);
-    console.error(error.stack);
-    failed++;
-  }
+  queue = queue.then(async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      console.error(error.stack);
+      failed++;
+    }
+  });
 }
 
 function assert(condition, message) {
@@ -45,6 +50,7 @@ test('Function assignment in set trap creates MessageChannel', () => {
   assert(setOps.length === 1, 'Should have recorded set operation');
   assert(setOps[0].value.__functionChannel, 'Should have function channel ID');
   assert(recorder.pendingTransferables.length === 1, 'Should have pending transferable port');
+  recorder[Symbol.dispose]();
 });
 
 // Test 2: Function in apply args creates MessageChannel
@@ -67,6 +73,7 @@ test('Function argument in apply creates MessageChannel', () => {
   assert(applyOps[0].args[1].__functionChannel, 'First callback should have function channel');
   assert(applyOps[1].args[1].__functionChannel, 'Second callback should have function channel');
   assert(recorder.pendingTransferables.length === 2, 'Should have 2 pending transferable ports');
+  recorder[Symbol.dispose]();
 });
 
 // Test 3: Same function reuses MessageChannel
@@ -84,6 +91,8 @@ test('Same function assigned multiple times reuses MessageChannel', () => {
   const secondChannelId = recorder.recordings[recorder.recordings.length - 1].value.__functionChannel;
   
   assert(firstChannelId === secondChannelId, 'Should reuse same channel for same function');
+  assert(recorder.pendingTransferables.length === 1, 'Should only transfer the port once');
+  recorder[Symbol.dispose]();
 });
 
 // Test 4: ReadableStream is marked for transfer
@@ -100,6 +109,7 @@ test('ReadableStream is automatically marked for transfer', () => {
   assert(setOps.length === 1, 'Should have recorded set operation');
   assert(setOps[0].value.__transferableStream, 'Should mark as transferable stream');
   assert(recorder.pendingTransferables.includes(stream), 'Stream should be in transferables');
+  recorder[Symbol.dispose]();
 });
 
 // Test 5: Proxy objects are not treated as functions
@@ -117,6 +127,7 @@ test('Proxy objects are serialized as object IDs, not function channels', () =>
   const secondApply = applyOps[1];
   assert(secondApply.args[0].__recordedObjectId, 'Should serialize ref as object ID');
   assert(!secondApply.args[0].__functionChannel, 'Should NOT create function channel for proxy');
+  recorder[Symbol.dispose]();
 });
 
 // Test 6: Bidirectional callback execution
@@ -169,8 +180,8 @@ test('Function callback can be called from replay context', async () => {
   assert(callbackExecuted, 'Callback should have been executed in recording context');
   assert(callbackArg === 'test-event', 'Callback should receive the argument');
   
-  messageChannel.port1.close();
-  messageChannel.port2.close();
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
 });
 
 // Test 7: Error handling in callbacks
@@ -216,8 +227,8 @@ test('Errors in callbacks are handled via onerror', async () => {
   assert(errorCaught !== null, 'Error should have been caught');
   assert(errorCaught.message === 'Test error', 'Should receive correct error message');
   
-  messageChannel.port1.close();
-  messageChannel.port2.close();
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
 });
 
 // Test 8: evaluate() returns actual object
@@ -260,8 +271,8 @@ test('evaluate() retrieves actual object from replay context', async () => {
   // and we need to extract it from the proxy
   // For now, we'll skip the actual evaluation test and just check the structure
   
-  messageChannel.port1.close();
-  messageChannel.port2.close();
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
 });
 
 // Test 9: Transferables are cleared after sending
@@ -285,11 +296,751 @@ test('Pending transferables are cleared after sending', async () => {
   
   assert(recordingRecorder.pendingTransferables.length === 0, 'Should clear transferables after sending');
   
-  messageChannel.port1.close();
-  messageChannel.port2.close();
+  recordingRecorder[Symbol.dispose]();
+});
+
+// Test 10: evaluate() resolves a proxy recorded in the same tick
+test('evaluate() flushes pending operations before resolving', async () => {
+  const messageChannel = new MessageChannel();
+  
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: { document: { title: 'Hello' } }
+  });
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  const title = await recordingRecorder.evaluate(proxied.document.title);
+  assert(title === 'Hello', 'Should resolve the title from the replay context');
+  
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 11: Awaitable proxies
+test('Awaiting a proxy resolves its value when awaitable is enabled', async () => {
+  const messageChannel = new MessageChannel();
+  
+  const recordingRecorder = new Recorder({
+    port: messageChannel.port1,
+    awaitable: true
+  });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: {
+      document: {
+        title: 'Hello',
+        createElement(tag) {
+          return { tagName: tag.toUpperCase() };
+        }
+      }
+    }
+  });
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  const title = await proxied.document.title;
+  assert(title === 'Hello', 'Awaited proxy should resolve to the title');
+  
+  const div = proxied.document.createElement('div');
+  const tagName = await div.tagName;
+  assert(tagName === 'DIV', 'Awaited proxy should resolve values across batches');
+  
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 12: Proxies are not thenable by default
+test('Proxies are not thenable unless awaitable is enabled', () => {
+  const recorder = new Recorder({ autoReplay: false });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+  
+  assert(proxied.document.then === undefined, 'then should be undefined');
+  recorder[Symbol.dispose]();
+});
+
+// Test 13: Batch evaluation
+test('evaluate() resolves objects and arrays of proxies in one round trip', async () => {
+  const messageChannel = new MessageChannel();
+  
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: {
+      document: {
+        createElement(tag) {
+          return {
+            width: 300,
+            height: 150,
+            getContext(type) {
+              return { type };
+            }
+          };
+        }
+      }
+    }
+  });
+  
+  let requests = 0;
+  const postMessage = messageChannel.port1.postMessage.bind(messageChannel.port1);
+  messageChannel.port1.postMessage = (message, transfer) => {
+    if (message.type.startsWith('evaluate')) requests++;
+    return postMessage(message, transfer);
+  };
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  const canvas = proxied.document.createElement('canvas');
+  const data = await recordingRecorder.evaluate({
+    width: canvas.width,
+    height: canvas.height,
+    ctx: canvas.getContext('2d'),
+    label: 'canvas',
+    sizes: [canvas.width, [canvas.height]]
+  });
+  
+  assert(requests === 1, 'Should use a single evaluate request');
+  assert(data.width === 300 && data.height === 150, 'Should resolve properties');
+  assert(data.ctx.type === '2d', 'Should resolve call results');
+  assert(data.label === 'canvas', 'Should keep plain values');
+  assert(data.sizes[0] === 300 && data.sizes[1][0] === 150, 'Should resolve nested arrays');
+  
+  const list = await recordingRecorder.evaluate([canvas.width, canvas.height]);
+  assert(Array.isArray(list) && list[0] === 300 && list[1] === 150, 'Should resolve array shapes');
+  
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 14: Remote functions are disabled by default
+test('evaluateFunction() is rejected unless allowRemoteFunctions is set', async () => {
+  const messageChannel = new MessageChannel();
+  
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: { ran: false }
+  });
+  
+  let rejection = null;
+  try {
+    await recordingRecorder.evaluateFunction(function() {
+      this.ran = true;
+    });
+  } catch (error) {
+    rejection = error;
+  }
+  
+  assert(rejection && rejection.message.includes('allowRemoteFunctions'), 'Should explain how to enable remote functions');
+  assert(replayRecorder.replayContext.ran === false, 'Function should not have run');
+  
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 15: Function-based remote evaluation
+test('evaluateFunction() runs in the replay context with resolved references', async () => {
+  const messageChannel = new MessageChannel();
+  
+  const mockContext = {
+    document: {
+      getElementById(id) {
+        return {
+          id,
+          getBoundingClientRect() {
+            return { width: 200, height: 0 };
+          }
+        };
+      }
+    },
+    getComputedStyle(element) {
+      return { backgroundColor: element.id === 'box' ? 'red' : 'blue' };
+    }
+  };
+  
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext,
+    allowRemoteFunctions: true
+  });
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  const box = proxied.document.getElementById('box');
+  const metrics = await recordingRecorder.evaluateFunction(function(element, options) {
+    const rect = element.getBoundingClientRect();
+    const style = this.getComputedStyle(element);
+    return {
+      width: rect.width,
+      backgroundColor: style.backgroundColor,
+      visible: rect.width > 0 && rect.height > 0,
+      label: options.label
+    };
+  }, box, { label: 'box' });
+  
+  assert(metrics.width === 200, 'Should compute from the real element');
+  assert(metrics.backgroundColor === 'red', 'Should call replay context functions');
+  assert(metrics.visible === false, 'Should return computed values');
+  assert(metrics.label === 'box', 'Should pass plain arguments');
+  
+  const asyncResult = await recordingRecorder.evaluateFunction(async (element) => element.id, box);
+  assert(asyncResult === 'box', 'Should await async functions');
+  
+  let rejection = null;
+  try {
+    await recordingRecorder.evaluateFunction(() => {
+      throw new RangeError('Out of range');
+    });
+  } catch (error) {
+    rejection = error;
+  }
+  assert(rejection && rejection.name === 'RangeError', 'Should reject with the remote error');
+
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 16: Non-cloneable callback arguments arrive as live proxies
+test('Non-cloneable callback arguments are recorded proxies of the live object', async () => {
+  const messageChannel = new MessageChannel();
+
+  class FakeEvent {
+    constructor(type, target) {
+      this.type = type;
+      this.target = target;
+      this.defaultPrevented = false;
+    }
+    preventDefault() {
+      this.defaultPrevented = true;
+    }
+  }
+
+  const button = { tagName: 'BUTTON', onclick: null };
+  const mockContext = { button };
+
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+
+  const seen = new Promise(resolve => {
+    proxied.button.onclick = async (event) => {
+      event.preventDefault();
+      resolve({
+        type: await recordingRecorder.evaluate(event.type),
+        tagName: await recordingRecorder.evaluate(event.target.tagName)
+      });
+    };
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const event = new FakeEvent('click', button);
+  button.onclick(event);
+
+  const result = await seen;
+
+  assert(event.defaultPrevented, 'preventDefault() should run on the live event');
+  assert(result.type === 'click', 'Should read properties of the live event');
+  assert(result.tagName === 'BUTTON', 'Should follow references from the live event');
+
+  // The same event passed again keeps its id, and the entry is released with its proxies
+  const events = [];
+  proxied.button.onpointer = (event) => events.push(event);
+  await recordingRecorder.flush();
+  const { objects } = replayRecorder.getObjectStats();
+  const pointerEvent = new FakeEvent('pointermove', button);
+  button.onpointer(pointerEvent);
+  button.onpointer(pointerEvent);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const pointerId = replayRecorder.objectRegistry.idOf(pointerEvent);
+  assert(events.length === 2 && replayRecorder.getObjectStats().objects === objects + 1, 'Should reuse the id of the same object');
+  for (const proxy of events) {
+    proxy[Symbol.dispose]();
+  }
+  await recordingRecorder.flush();
+  assert(!replayRecorder.objectRegistry.has(pointerId), 'Should release the entry once its proxies are disposed');
+
+  // Blobs clone over a MessagePort
+  const dropped = new Promise(resolve => {
+    proxied.button.ondrop = (blob) => resolve(blob);
+  });
+  await recordingRecorder.flush();
+  button.ondrop(new Blob(['data']));
+  const blob = await dropped;
+  assert(blob instanceof Blob && blob.size === 4, 'Blobs should be cloned over a MessagePort');
+
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 17: Operations recorded inside callbacks are replayed
+test('Proxy operations inside a callback update the live objects', async () => {
+  const messageChannel = new MessageChannel();
+
+  const mockContext = {
+    document: {
+      createElement(tagName) {
+        return { tagName, innerText: '', dataset: {}, onclick: null };
+      }
+    }
+  };
+
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+
+  let clicks = 0;
+  const button = proxied.document.createElement('button');
+  button.onclick = (event) => {
+    clicks++;
+    // Captured in the closure
+    button.innerText = `Clicked ${clicks}`;
+    // Handed to the callback
+    event.target.dataset.clicks = clicks;
+  };
+
+  await recordingRecorder.flush();
+  const element = replayRecorder.objectRegistry.get(button.__recordedObjectId);
+
+  element.onclick({ type: 'click', target: element });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  await recordingRecorder.flush();
+
+  element.onclick({ type: 'click', target: element });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  await recordingRecorder.flush();
+
+  assert(element.innerText === 'Clicked 2', 'Closure proxy updates should reach the live element');
+  assert(element.dataset.clicks === 2, 'Argument proxy updates should reach the live element');
+
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 18: Replay-side wrappers keep their identity
+test('The same callback is the same function in the replay context', async () => {
+  const messageChannel = new MessageChannel();
+
+  const listeners = new Set();
+  const mockContext = {
+    element: {
+      addEventListener(type, listener) {
+        listeners.add(listener);
+      },
+      removeEventListener(type, listener) {
+        listeners.delete(listener);
+      }
+    }
+  };
+
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+
+  const onClick = () => {};
+  const onKey = () => {};
+
+  // Same batch
+  proxied.element.addEventListener('keydown', onKey);
+  proxied.element.removeEventListener('keydown', onKey);
+  // Across batches
+  proxied.element.addEventListener('click', onClick);
+  await recordingRecorder.flush();
+
+  assert(listeners.size === 1, 'Should register the click listener');
+
+  proxied.element.removeEventListener('click', onClick);
+  const stats = await recordingRecorder.flush();
+
+  assert(stats.failed === 0, 'Later batches should not need the port again');
+  assert(listeners.size === 0, 'removeEventListener() should match the registered wrapper');
+
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 19: Callbacks returning values
+test('Handlers with returnValue resolve the callback result in the replay context', async () => {
+  const messageChannel = new MessageChannel();
+
+  const settled = [];
+  const mockContext = {
+    document: {
+      createElement(tagName) {
+        return { tagName };
+      }
+    },
+    request(name, callback) {
+      const result = callback({ name });
+      settled.push(result);
+      return result;
+    }
+  };
+
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+
+  proxied.request('plain', recordingRecorder.handler(async (lock) => `held ${lock.name}`, { returnValue: true }));
+  proxied.request('proxy', recordingRecorder.handler(() => proxied.document.createElement('span'), { returnValue: true }));
+  proxied.request('error', recordingRecorder.handler(() => {
+    throw new Error('No lock');
+  }, { returnValue: true }));
+  proxied.request('default', () => 'ignored');
+  proxied.request('thrown', recordingRecorder.handler(() => {
+    throw 'Busy';
+  }, { returnValue: true }));
+  proxied.request('rejected', recordingRecorder.handler(() => Promise.reject(), { returnValue: true }));
+
+  await recordingRecorder.flush();
+  const [plain, element, error, ignored, thrown, rejected] = await Promise.allSettled(settled);
+
+  assert(plain.value === 'held plain', 'Should resolve with the awaited callback result');
+  assert(element.value && element.value.tagName === 'span', 'Should resolve proxies to the replayed object');
+  assert(error.reason && error.reason.message === 'No lock', 'Should reject with the callback error');
+  assert(ignored.value === undefined, 'Plain callbacks should not return anything');
+  assert(thrown.status === 'rejected' && thrown.reason.message === 'Busy', 'Should reject when the callback throws a non-Error');
+  assert(rejected.status === 'rejected', 'Should reject when the callback rejects without a reason');
+
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 20: Synchronous event policies
+test('Handler event policies are applied synchronously in the replay context', async () => {
+  const messageChannel = new MessageChannel();
+
+  class FakeEvent {
+    constructor(type) {
+      this.type = type;
+      this.calls = [];
+    }
+    preventDefault() {
+      this.calls.push('preventDefault');
+    }
+    stopPropagation() {
+      this.calls.push('stopPropagation');
+    }
+    stopImmediatePropagation() {
+      this.calls.push('stopImmediatePropagation');
+    }
+  }
+
+  const mockContext = { form: { onsubmit: null } };
+
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+
+  let submitted = false;
+  proxied.form.onsubmit = recordingRecorder.handler(() => {
+    submitted = true;
+  }, { preventDefault: true, stopPropagation: true, passive: false });
+
+  await recordingRecorder.flush();
+
+  const event = new FakeEvent('submit');
+  mockContext.form.onsubmit(event);
+
+  assert(!submitted, 'The callback itself should not have run yet');
+  assert(event.calls.join() === 'preventDefault,stopPropagation', 'Policies should run during dispatch');
+
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert(submitted, 'The event should still be forwarded to the callback');
+
+  let thrown = null;
+  try {
+    recordingRecorder.handler(() => {}, { passive: true, preventDefault: true });
+  } catch (error) {
+    thrown = error;
+  }
+  assert(thrown instanceof TypeError, 'passive should rule out preventDefault');
+
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 21: Delivery strategies for high-frequency callbacks
+test('Handler delivery strategies coalesce high-frequency calls', async () => {
+  const messageChannel = new MessageChannel();
+
+  const mockContext = { surface: {} };
+
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+
+  const received = { animationFrame: [], debounce: [], latest: [], maxQueue: [], plain: [] };
+  proxied.surface.animationFrame = recordingRecorder.handler((x) => received.animationFrame.push(x), { animationFrame: true });
+  proxied.surface.debounce = recordingRecorder.handler((x) => received.debounce.push(x), { debounce: 5 });
+  proxied.surface.latest = recordingRecorder.handler((x) => received.latest.push(x), { latest: true });
+  proxied.surface.maxQueue = recordingRecorder.handler((x) => received.maxQueue.push(x), { maxQueue: 3 });
+  proxied.surface.plain = (x) => received.plain.push(x);
+
+  await recordingRecorder.flush();
+
+  for (let x = 0; x < 50; x++) {
+    for (const name of Object.keys(received)) {
+      mockContext.surface[name](x);
+    }
+  }
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+
+  assert(received.plain.length === 50, 'Plain callbacks should receive every call');
+  assert(received.animationFrame.join() === '49', 'animationFrame should deliver the latest call once');
+  assert(received.debounce.join() === '49', 'debounce should deliver the last call once');
+  assert(received.latest.join() === '0,49', 'latest should deliver the first call and the newest after it');
+  assert(received.maxQueue.join() === '0,1,2', 'maxQueue should drop calls over the limit');
+
+  let thrown = null;
+  try {
+    recordingRecorder.handler(() => {}, { latest: true, returnValue: true });
+  } catch (error) {
+    thrown = error;
+  }
+  assert(thrown instanceof TypeError, 'Delivery strategies should rule out returnValue');
+
+  for (const maxQueue of [0, -1, 1.5, '3']) {
+    thrown = null;
+    try {
+      recordingRecorder.handler(() => {}, { maxQueue });
+    } catch (error) {
+      thrown = error;
+    }
+    assert(thrown instanceof TypeError, `maxQueue ${JSON.stringify(maxQueue)} should be rejected`);
+  }
+
+  // A call that couldn't be sent gets no acknowledgement, its slot is freed right away
+  const [latestChannel] = [...replayRecorder.functionWrappers].find(([, wrapper]) => wrapper === mockContext.surface.latest);
+  const latestPort = replayRecorder.functionPorts.get(latestChannel);
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  replayRecorder.functionPorts.delete(latestChannel);
+  mockContext.surface.latest('lost');
+  replayRecorder.functionPorts.set(latestChannel, latestPort);
+  console.warn = originalWarn;
+  mockContext.surface.latest('sent');
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert(received.latest.at(-1) === 'sent', 'latest should keep delivering after a call was not sent');
+
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 22: Explicit transfers
+test('transfer() moves ArrayBuffers and MessagePorts to the replay context', async () => {
+  const messageChannel = new MessageChannel();
+
+  const received = {};
+  const mockContext = {
+    upload(data) {
+      received.upload = data;
+    },
+    connect(port, onReady) {
+      received.port = port;
+      port.postMessage('hello through the port');
+      onReady('ready');
+    },
+    worker: {}
+  };
+
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+
+  const bytes = new Uint8Array([1, 2, 3, 4]);
+  proxied.upload(transfer(bytes));
+
+  const buffer = new ArrayBuffer(16);
+  recordingRecorder.transfer(buffer);
+  proxied.worker.buffer = buffer;
+
+  const { port1, port2 } = new MessageChannel();
+  const portMessage = new Promise(resolve => {
+    port1.onmessage = (event) => resolve(event.data);
+  });
+  const ready = new Promise(resolve => {
+    proxied.connect(transfer(port2), resolve);
+  });
+
+  await recordingRecorder.flush();
+
+  assert(bytes.byteLength === 0, 'The typed array buffer should be transferred, not copied');
+  assert(received.upload instanceof Uint8Array && received.upload.join() === '1,2,3,4', 'Should receive the typed array');
+  assert(buffer.byteLength === 0, 'recorder.transfer() should transfer the buffer');
+  assert(mockContext.worker.buffer.byteLength === 16, 'Should receive the transferred buffer');
+  assert(received.port instanceof MessagePort, 'Should receive the MessagePort');
+  assert(await ready === 'ready', 'Function channels should still get their own ports');
+  assert(await portMessage === 'hello through the port', 'The transferred port should be usable');
+
+  let thrown = null;
+  try {
+    transfer({ not: 'transferable' });
+  } catch (error) {
+    thrown = error;
+  }
+  assert(thrown instanceof TypeError, 'Should reject values that cannot be transferred');
+
+  port1.close();
+  received.port.close();
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 23: Transferred streams reach the replayed operations
+test('Streams passed to proxies arrive as the transferred streams', async () => {
+  const messageChannel = new MessageChannel();
+
+  const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return chunks.join('');
+  };
+
+  const reads = [];
+  const mockContext = {
+    sink: {
+      consume(stream) {
+        reads.push(readAll(stream));
+      }
+    },
+    response: {}
+  };
+
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+
+  const streamOf = (...chunks) => new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(chunk));
+      controller.close();
+    }
+  });
+
+  proxied.sink.consume(streamOf('hello ', 'world'));
+  proxied.response.body = streamOf('body');
+
+  await recordingRecorder.flush();
+
+  assert(recordingRecorder.pendingStreams.size === 0, 'Streams should be sent with the batch');
+  assert(mockContext.response.body instanceof ReadableStream, 'set should receive the stream');
+  assert(await reads[0] === 'hello world', 'apply should receive a readable stream');
+  assert(await readAll(mockContext.response.body) === 'body', 'The assigned stream should be readable');
+
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 24: Function ports for construct and nested functions
+test('Functions in constructors and nested values get their own ports', async () => {
+  const messageChannel = new MessageChannel();
+
+  const mockContext = {
+    MutationObserver: class {
+      constructor(callback) {
+        this.callback = callback;
+        mockContext.observer = this;
+      }
+    },
+    listen(type, options) {
+      mockContext.listener = options.handler;
+    },
+    connect(port) {
+      mockContext.port = port;
+    },
+    onclick: null
+  };
+
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+
+  const calls = [];
+  const extra = new MessageChannel();
+  proxied.onclick = (value) => calls.push(`onclick ${value}`);
+  proxied.connect(transfer(extra.port2));
+  new proxied.MutationObserver((value) => calls.push(`observer ${value}`));
+  proxied.listen('change', { once: true, handler: (value) => calls.push(`listener ${value}`) });
+
+  await recordingRecorder.flush();
+
+  mockContext.listener(1);
+  mockContext.observer.callback(2);
+  mockContext.onclick(3);
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert(calls.includes('listener 1'), 'A function nested in an options object should be callable');
+  assert(calls.includes('observer 2'), 'A function passed to a constructor should be callable');
+  assert(calls.includes('onclick 3'), 'An assigned function should be callable');
+  assert(mockContext.port instanceof MessagePort, 'A transferred port should not be taken by a function');
+
+  mockContext.port.close();
+  extra.port1.close();
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
 });
 
 // Summary
+await queue;
 console.log('\n' + '='.repeat(50));
 console.log(`Tests passed: ${passed}`);
 console.log(`Tests failed: ${failed}`);
@@ -0,0 +1,218 @@
+/**
+ * Tests for the command-line tool
+ */
+
+import { spawnSync } from 'node:child_process';
+import { writeFileSync, rmSync, mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Recorder, createRecordHandler } from './recorder.js';
+
+const CLI = fileURLToPath(new URL('./cli.js', import.meta.url));
+
+let passed = 0;
+let failed = 0;
+
+// Tests run one at a time, an async test is awaited before the next one starts
+let queue = Promise.resolve();
+
+function test(name, fn) {
+  queue = queue.then(async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      console.error(error.stack);
+      failed++;
+    }
+  });
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Run the CLI, returns its exit code and output
+function run(args, input) {
+  const result = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 10000 });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// Record a session, returns the recorder and the id of the created element
+function recordSession(options) {
+  const recorder = new Recorder({ autoReplay: false, ...options });
+  const proxied = new Proxy({}, createRecordHandler(recorder));
+  const element = proxied.document.createElement('p');
+  element.textContent = 'Saved';
+  element.dataset = new Map([['count', 10n]]);
+  proxied.document.body.append(element);
+  new proxied.Image(100, 100);
+
+  const elementId = recorder.getRecordings().find(op => op.type === 'apply').resultId;
+  return { recorder, elementId };
+}
+
+const directory = mkdtempSync(join(tmpdir(), 'recorder-cli-'));
+const { recorder, elementId } = recordSession();
+const file = join(directory, 'session.json');
+writeFileSync(file, recorder.export({ name: 'cli' }));
+
+// Contexts exported by modules, log what the replay does so the test can see it
+const contextFile = join(directory, 'context.mjs');
+writeFileSync(contextFile, `
+export default () => ({
+  document: {
+    body: { append(child) { console.log('appended', child.tagName, child.textContent, child.dataset.get('count')); } },
+    createElement(tag) { return { tagName: tag.toUpperCase() }; }
+  },
+  Image: class Image {}
+});
+export const noDocument = { Image: class Image {} };
+export const offline = { fetch: async () => { throw new Error('offline'); }, document: {} };
+`);
+
+console.log('Running CLI Tests\n');
+
+// Test 1: inspect folds property reads into call chains
+test('inspect prints the operations as JavaScript', () => {
+  const { status, stdout } = run(['inspect', file]);
+  assert(status === 0, `Should exit with 0 (got ${status})`);
+
+  const lines = stdout.trim().split('\n');
+  assert(lines.includes('// name: cli'), 'Should print the metadata');
+  assert(lines.includes(`const ${elementId} = document.createElement("p");`), 'Should print the call chain');
+  assert(lines.includes(`${elementId}.textContent = "Saved";`), 'Should print assignments');
+  assert(lines.includes(`${elementId}.dataset = new Map([["count", 10n]]);`), 'Should print values JSON would lose');
+  assert(lines.includes(`document.body.append(${elementId});`), 'Should print object references by id');
+  assert(lines.includes('new Image(100, 100);'), 'Should print constructor calls');
+  assert(!lines.some(line => line.endsWith('= document;')), 'Should fold property reads into the chains');
+});
+
+// Test 2: Reads used more than once
+test('inspect only inlines reads that are used once', () => {
+  const shared = new Recorder({ autoReplay: false });
+  const proxied = new Proxy({}, createRecordHandler(shared));
+  const x = proxied.p.a.b;
+  proxied.p.use(x, x);
+
+  const sharedFile = join(directory, 'shared.json');
+  const id = shared.getRecordings().find(op => op.property === 'b').resultId;
+  writeFileSync(sharedFile, shared.export());
+  shared[Symbol.dispose]();
+
+  const lines = run(['inspect', sharedFile]).stdout.trim().split('\n');
+  assert(lines.includes(`const ${id} = p.a.b;`), `Should keep the read as a const (got ${lines})`);
+  assert(lines.includes(`p.use(${id}, ${id});`), 'Should use its id at every use');
+});
+
+// Test 3: --all
+test('inspect --all prints every property read', () => {
+  const { stdout } = run(['inspect', file, '--all']);
+  const reads = stdout.split('\n').filter(line => / = document;$/.test(line));
+  assert(reads.length === 2, `Should print both reads of document (got ${reads.length})`);
+});
+
+// Test 4: stats
+test('stats counts operations by type, property and call', () => {
+  const { status, stdout } = run(['stats', file, '--json']);
+  assert(status === 0, `Should exit with 0 (got ${status})`);
+
+  const stats = JSON.parse(stdout);
+  assert(stats.operations === recorder.getRecordings().length, 'Should count every operation');
+  assert(stats.types.get === 6 && stats.types.set === 2 && stats.types.apply === 2 && stats.types.construct === 1,
+    `Should count by type (got ${JSON.stringify(stats.types)})`);
+  assert(stats.properties.document === 2 && stats.properties.textContent === 1, 'Should count by property');
+  assert(stats.calls.createElement === 1 && stats.calls.Image === 1, 'Should count calls by function name');
+
+  const text = run(['stats', file]).stdout;
+  assert(text.includes('By type:') && /createElement\s+1/.test(text), 'Should print tables');
+});
+
+// Test 5: replay
+test('replay runs a file against the context a module exports', () => {
+  const { status, stdout } = run(['replay', file, contextFile]);
+  assert(status === 0, `Should exit with 0 (got ${status}): ${stdout}`);
+  assert(stdout.includes('appended P Saved 10'), 'Should replay the operations');
+  assert(stdout.includes('0 failed'), 'Should report the result');
+});
+
+// Test 6: Failures
+test('replay reports each failed operation and exits with 1', () => {
+  const { status, stdout } = run(['replay', file, contextFile, '--export', 'noDocument']);
+  assert(status === 1, `Should exit with 1 (got ${status})`);
+  assert(stdout.includes(`✗ #3 const ${elementId} = document.createElement("p");`), 'Should print the failed operation');
+  assert(stdout.includes(`✗ #4 ${elementId}.textContent = "Saved";`), 'Should report operations that depend on it');
+  assert(!stdout.includes('new Image'), 'Should not report operations that succeeded');
+  assert(/\d+ succeeded, \d+ failed/.test(stdout), 'Should report the result');
+});
+
+// Test 7: Rejected Promises
+test('replay reports operations whose Promise rejects', () => {
+  const session = new Recorder({ autoReplay: false });
+  const proxied = new Proxy({}, createRecordHandler(session));
+  proxied.fetch('/api');
+  proxied.document.title = 'Loaded';
+
+  const fetchFile = join(directory, 'fetch.json');
+  writeFileSync(fetchFile, session.export());
+  session[Symbol.dispose]();
+
+  for (const args of [[], ['--async']]) {
+    const { status, stdout, stderr } = run(['replay', fetchFile, contextFile, '--export', 'offline', ...args]);
+    const lines = stdout.trim().split('\n');
+    assert(status === 1, `Should exit with 1 ${args} (got ${status}): ${stderr}`);
+    assert(lines[0].startsWith('✗ #2 ') && lines[0].includes('fetch("/api")') && lines[1].includes('Error: offline'),
+      `Should report the rejection under the fetch() call ${args} (got ${stdout})`);
+    assert(lines.at(-1).endsWith('3 succeeded, 1 failed'), `Should count it as a failure ${args} (got ${lines.at(-1)})`);
+  }
+});
+
+// Test 8: exportTo() files from stdin
+test('Commands read exportTo() files from stdin', () => {
+  let text = '';
+  const { recorder: live, elementId: liveId } = recordSession();
+  live.clear();
+  live.exportTo({ write(chunk) { text += chunk; } });
+  const proxied = new Proxy({}, createRecordHandler(live));
+  proxied.document.title = 'Live';
+
+  const { status, stdout } = run(['inspect', '-'], text);
+  assert(status === 0 && stdout.includes('document.title = "Live";'), `Should read stdin (got ${stdout})`);
+  assert(!stdout.includes(liveId), 'Should only contain what was exported');
+  live[Symbol.dispose]();
+});
+
+// Test 9: Usage errors
+test('Unknown commands, missing arguments and unreadable files fail', () => {
+  const unknown = run(['record', file]);
+  assert(unknown.status === 2 && unknown.stderr.includes('Usage:'), 'Should print the usage for unknown commands');
+
+  const missing = run(['replay', file]);
+  assert(missing.status === 2, 'Should exit with 2 without a context module');
+
+  const unreadable = run(['inspect', join(directory, 'missing.json')]);
+  assert(unreadable.status === 1 && unreadable.stderr.includes('javascript-recorder:'), 'Should report unreadable files');
+
+  const notExported = run(['replay', file, contextFile, '--export', 'missing']);
+  assert(notExported.status === 1 && notExported.stderr.includes('no export named'), 'Should report missing exports');
+});
+
+await queue;
+recorder[Symbol.dispose]();
+rmSync(directory, { recursive: true });
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${passed}`);
+console.log(`Tests failed: ${failed}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,180 @@
+/**
+ * Tests for the lossless JSON codec
+ */
+
+import { Recorder, createRecordHandler } from './recorder.js';
+import { CODEC_VERSION, encode, decode, stringify, parse } from './codec.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  Error: ${error.message}`);
+    console.error(error.stack);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Compare values the way structured clone keeps them (no cycles)
+function isEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  if (a instanceof Date) return Object.is(a.getTime(), b.getTime());
+  if (a instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+  if (a instanceof ArrayBuffer) return isEqual(new Uint8Array(a), new Uint8Array(b));
+  if (a instanceof DataView) return isEqual(new Uint8Array(a.buffer, a.byteOffset, a.byteLength), new Uint8Array(b.buffer, b.byteOffset, b.byteLength));
+  if (ArrayBuffer.isView(a)) return a.length === b.length && a.every((item, i) => Object.is(item, b[i]));
+  if (a instanceof Map) return isEqual([...a], [...b]);
+  if (a instanceof Set) return isEqual([...a], [...b]);
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => key in b && isEqual(a[key], b[key]));
+}
+
+// Encode as JSON text and back
+function roundTrip(value) {
+  return parse(stringify(value));
+}
+
+console.log('Running Codec Tests\n');
+
+// Test 1: Primitives JSON loses
+test('Primitives round-trip', () => {
+  const values = [undefined, null, true, 'text', 0, -0, 1.5, NaN, Infinity, -Infinity, 12345678901234567890n, -1n];
+  for (const value of values) {
+    assert(Object.is(roundTrip(value), value), `Should keep ${String(value)}`);
+  }
+  assert(roundTrip([undefined, 1]).length === 2 && roundTrip([undefined, 1])[0] === undefined, 'Should keep undefined in arrays');
+  assert('missing' in roundTrip({ missing: undefined }), 'Should keep undefined properties');
+
+  const sparse = roundTrip([1, , 3]);
+  assert(sparse.length === 3 && !(1 in sparse) && sparse[2] === 3, 'Should keep holes in arrays');
+});
+
+// Test 2: Built-in objects
+test('Dates, RegExps, Maps and Sets round-trip', () => {
+  const value = {
+    date: new Date(1700000000000),
+    invalidDate: new Date(NaN),
+    regexp: /a+b/gi,
+    map: new Map([['key', 1], [{ nested: true }, new Set([1, 'two'])]]),
+    set: new Set([undefined, 3n])
+  };
+  const decoded = roundTrip(value);
+  assert(isEqual(decoded, value), 'Should decode equal values');
+  assert(decoded.date instanceof Date && decoded.regexp instanceof RegExp, 'Should restore the types');
+});
+
+// Test 3: Binary data
+test('ArrayBuffers, typed arrays and DataViews round-trip', () => {
+  const buffer = new ArrayBuffer(16);
+  new Uint8Array(buffer).set([1, 2, 3, 4, 255]);
+  const value = {
+    buffer,
+    bytes: new Uint8Array([0, 127, 255]),
+    floats: new Float64Array([1.5, NaN, -0]),
+    bigints: new BigInt64Array([-5n]),
+    slice: new Uint16Array(buffer, 2, 3),
+    view: new DataView(buffer, 4, 8)
+  };
+  const decoded = roundTrip(value);
+  assert(isEqual(decoded, value), 'Should decode equal values');
+  assert(decoded.slice.byteOffset === 2 && decoded.slice.length === 3, 'Should keep offsets and lengths');
+  assert(decoded.slice.buffer === decoded.buffer && decoded.view.buffer === decoded.buffer, 'Views should share the decoded buffer');
+});
+
+// Test 4: Object identity
+test('Shared and circular references are kept', () => {
+  const shared = { name: 'shared' };
+  const value = { a: shared, b: [shared], map: new Map([[shared, shared]]) };
+  value.self = value;
+  value.b.push(value.b);
+
+  const decoded = roundTrip(value);
+  assert(decoded.a === decoded.b[0], 'Shared objects should stay shared');
+  assert(decoded.map.get(decoded.a) === decoded.a, 'Map keys and values should keep their identity');
+  assert(decoded.self === decoded, 'Circular objects should point to themselves');
+  assert(decoded.b[1] === decoded.b, 'Circular arrays should point to themselves');
+});
+
+// Test 5: Plain objects that look like encoded values
+test('Plain objects with a $type key are not mistaken for encoded values', () => {
+  const value = { $type: 'undefined', nested: { $type: 'ref', index: 0 } };
+  const decoded = roundTrip(value);
+  assert(isEqual(decoded, value), 'Should decode the plain objects');
+});
+
+// Test 6: Encoded values are plain JSON
+test('encode() returns JSON-safe data with a version', () => {
+  const encoded = encode({ value: undefined, big: 1n, map: new Map([[1, 2]]) });
+  assert(encoded.version === CODEC_VERSION, 'Should carry the codec version');
+  assert(isEqual(JSON.parse(JSON.stringify(encoded)), encoded), 'Should survive JSON');
+  assert(decode(encoded).map.get(1) === 2, 'Should decode');
+});
+
+// Test 7: Recordings with proxy and function markers
+test('Recordings round-trip with their markers', () => {
+  const recorder = new Recorder({ autoReplay: false });
+  const proxied = new Proxy({}, createRecordHandler(recorder));
+
+  const element = proxied.document.createElement('div');
+  element.dataset = new Map([['id', 1n]]);
+  element.addEventListener('click', () => {}, { once: true, signal: undefined });
+  proxied.document.body.append(element, undefined);
+
+  const recordings = recorder.getRecordings();
+  const decoded = roundTrip(recordings);
+  assert(isEqual(decoded, recordings), 'Should decode equal recordings');
+
+  const listener = decoded.find(op => op.args && op.args[0] === 'click');
+  assert(typeof listener.args[1].__functionChannel === 'string', 'Should keep function channel markers');
+  const append = decoded[decoded.length - 1];
+  assert(typeof append.args[0].__recordedObjectId === 'string' && append.args[1] === undefined, 'Should keep object markers');
+
+  recorder[Symbol.dispose]();
+});
+
+// Test 8: Values that can't be encoded, or data from another version
+test('Unsupported values and versions throw TypeErrors', () => {
+  const inputs = [
+    () => encode(() => {}),
+    () => encode({ symbol: Symbol('x') }),
+    () => encode(new Blob(['data'])),
+    () => encode(new (class Custom {})()),
+    () => decode({ version: CODEC_VERSION + 1, value: null }),
+    () => decode('not encoded')
+  ];
+  for (const input of inputs) {
+    let thrown = null;
+    try {
+      input();
+    } catch (error) {
+      thrown = error;
+    }
+    assert(thrown instanceof TypeError, `Should throw a TypeError for ${input}`);
+  }
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${passed}`);
+console.log(`Tests failed: ${failed}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
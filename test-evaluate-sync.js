@@ -0,0 +1,141 @@
+/**
+ * Tests for synchronous evaluation from Node worker_threads
+ */
+
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import { Recorder, createRecordHandler, ReplayError } from './recorder.js';
+
+if (!isMainThread) {
+  // Worker side: record operations and read values back synchronously
+  const recorder = new Recorder({ port: workerData.port, onerror: () => {} });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+
+  const run = (fn) => {
+    try {
+      return { value: fn() };
+    } catch (error) {
+      return { error: { name: error.name, message: error.message, isReplayError: error instanceof ReplayError } };
+    }
+  };
+
+  const element = proxied.document.createElement('div');
+  element.textContent = 'Hello';
+
+  parentPort.postMessage({
+    offsetWidth: run(() => recorder.evaluateSync(element.offsetWidth)),
+    textContent: run(() => recorder.evaluateSync(element.textContent)),
+    rect: run(() => recorder.evaluateSync(element.getBoundingClientRect())),
+    element: run(() => recorder.evaluateSync(element)),
+    failed: run(() => recorder.evaluateSync(proxied.document.explode()))
+  });
+} else {
+  let passed = 0;
+  let failed = 0;
+
+  // Tests run one at a time, an async test is awaited before the next one starts
+  let queue = Promise.resolve();
+
+  function test(name, fn) {
+    queue = queue.then(async () => {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}`);
+        console.error(`  Error: ${error.message}`);
+        console.error(error.stack);
+        failed++;
+      }
+    });
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  console.log('Running evaluateSync Tests\n');
+
+  // Test 1: evaluateSync requires a port
+  test('evaluateSync() requires a MessagePort', () => {
+    const recorder = new Recorder({ autoReplay: false });
+    const proxied = new Proxy({}, createRecordHandler(recorder));
+
+    let thrown = null;
+    try {
+      recorder.evaluateSync(proxied.document.title);
+    } catch (error) {
+      thrown = error;
+    }
+
+    assert(thrown && thrown.message.includes('no MessagePort'), 'Should throw without a port');
+  });
+
+  // Test 2: Values are read synchronously inside a worker thread
+  test('evaluateSync() reads values from the replay context inside a worker', async () => {
+    const messageChannel = new MessageChannel();
+
+    const mockContext = {
+      document: {
+        createElement(tag) {
+          return {
+            tagName: tag.toUpperCase(),
+            textContent: '',
+            get offsetWidth() {
+              return this.textContent.length * 10;
+            },
+            getBoundingClientRect() {
+              return { x: 0, y: 0, width: this.offsetWidth, height: 20 };
+            }
+          };
+        },
+        explode() {
+          throw new RangeError('Boom');
+        }
+      }
+    };
+
+    const replayRecorder = new Recorder({
+      port: messageChannel.port2,
+      replayContext: mockContext
+    });
+
+    const worker = new Worker(new URL(import.meta.url), {
+      workerData: { port: messageChannel.port1 },
+      transferList: [messageChannel.port1]
+    });
+
+    const results = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Worker did not respond')), 5000);
+      worker.once('message', (message) => {
+        clearTimeout(timer);
+        resolve(message);
+      });
+      worker.once('error', reject);
+    });
+
+    assert(results.offsetWidth.value === 50, 'Should read a getter after earlier operations were replayed');
+    assert(results.textContent.value === 'Hello', 'Should read a string property');
+    assert(results.rect.value.width === 50 && results.rect.value.height === 20, 'Should read a plain object');
+    assert(results.element.error && results.element.error.message.includes('cannot be serialized'), 'Should reject values with methods');
+    assert(results.failed.error.isReplayError, 'Should throw a ReplayError for failed operations');
+    assert(results.failed.error.name === 'RangeError', 'Should carry the remote error name');
+
+    await worker.terminate();
+    messageChannel.port2.close();
+  });
+
+  // Summary
+  await queue;
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests passed: ${passed}`);
+  console.log(`Tests failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
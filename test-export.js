@@ -0,0 +1,254 @@
+/**
+ * Tests for exporting recordings to files and importing them
+ */
+
+import { readFileSync, writeFileSync, createWriteStream, rmSync, mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Recorder, createRecordHandler } from './recorder.js';
+
+let passed = 0;
+let failed = 0;
+
+// Tests run one at a time, an async test is awaited before the next one starts
+let queue = Promise.resolve();
+
+function test(name, fn) {
+  queue = queue.then(async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      console.error(error.stack);
+      failed++;
+    }
+  });
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// A small DOM to replay into
+function createContext() {
+  const body = { children: [], append(child) { this.children.push(child); } };
+  return {
+    document: {
+      body,
+      createElement(tag) {
+        return { tagName: tag.toUpperCase(), textContent: '', dataset: null };
+      }
+    }
+  };
+}
+
+// Record the same session into any recorder
+function recordSession(recorder) {
+  const proxied = new Proxy({}, createRecordHandler(recorder));
+  const element = proxied.document.createElement('p');
+  element.textContent = 'Saved';
+  element.dataset = new Map([['count', 10n], ['empty', undefined]]);
+  proxied.document.body.append(element);
+}
+
+// Collects what is written, like a file would
+function createSink() {
+  return {
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+    }
+  };
+}
+
+console.log('Running Export and Import Tests\n');
+
+// Test 1: export() and import() round-trip
+test('Exported recordings replay after import', () => {
+  const recorder = new Recorder({ autoReplay: false });
+  recordSession(recorder);
+
+  const file = recorder.export({ name: 'session' });
+  const parsed = JSON.parse(file);
+  assert(parsed.format === 'javascript-recorder' && parsed.version === 1, 'Should carry the format and version');
+  assert(parsed.metadata.name === 'session' && typeof parsed.metadata.createdAt === 'string', 'Should carry metadata');
+
+  const imported = Recorder.import(file);
+  assert(imported.metadata.name === 'session', 'Should expose the metadata');
+  assert(imported.getRecordings().length === recorder.getRecordings().length, 'Should import every operation');
+
+  const context = createContext();
+  imported.replay(context);
+  const [element] = context.document.body.children;
+  assert(element.tagName === 'P' && element.textContent === 'Saved', 'Should replay in a new context');
+  assert(element.dataset.get('count') === 10n && element.dataset.has('empty'), 'Should keep values JSON would lose');
+
+  recorder[Symbol.dispose]();
+  imported[Symbol.dispose]();
+});
+
+// Test 2: Parsed files are accepted too
+test('import() accepts parsed export() JSON', () => {
+  const recorder = new Recorder({ autoReplay: false });
+  recordSession(recorder);
+
+  const imported = Recorder.import(JSON.parse(recorder.export()));
+  const context = createContext();
+  imported.replay(context);
+  assert(context.document.body.children.length === 1, 'Should replay the parsed file');
+
+  recorder[Symbol.dispose]();
+  imported[Symbol.dispose]();
+});
+
+// Test 3: exportTo() keeps operations that were already replayed
+test('exportTo() appends every operation of a long session', async () => {
+  const sink = createSink();
+  const liveContext = createContext();
+  const recorder = new Recorder({ replayContext: liveContext });
+  const stop = recorder.exportTo(sink, { name: 'live' });
+
+  recordSession(recorder);
+  await Promise.resolve();
+  recordSession(recorder);
+  await Promise.resolve();
+  stop();
+  recordSession(recorder);
+  await Promise.resolve();
+
+  assert(liveContext.document.body.children.length === 3, 'Should keep replaying while exporting');
+  assert(recorder.getRecordings().length === 0, 'Replayed operations should be cleared');
+
+  const lines = sink.text.trim().split('\n');
+  assert(JSON.parse(lines[0]).metadata.name === 'live', 'Should start with a header');
+
+  const imported = Recorder.import(sink.text);
+  const context = createContext();
+  imported.replay(context);
+  assert(context.document.body.children.length === 2, 'Should replay what was recorded until stopped');
+  assert(context.document.body.children[1].dataset.get('count') === 10n, 'Should keep values JSON would lose');
+
+  recorder[Symbol.dispose]();
+  imported[Symbol.dispose]();
+});
+
+// Test 4: Files on disk, cut off mid-write
+test('Files written to disk replay, even when the last line was cut off', async () => {
+  const directory = mkdtempSync(join(tmpdir(), 'recorder-'));
+  const path = join(directory, 'session.ndjson');
+
+  const recorder = new Recorder({ autoReplay: false });
+  const stream = createWriteStream(path);
+  recorder.exportTo(stream);
+  recordSession(recorder);
+  await new Promise(resolve => stream.end(resolve));
+
+  const text = readFileSync(path, 'utf8');
+  writeFileSync(path, text + '{"type":"get","tar');
+
+  const imported = Recorder.import(readFileSync(path, 'utf8'));
+  const context = createContext();
+  imported.replay(context);
+  assert(context.document.body.children[0].textContent === 'Saved', 'Should replay the complete lines');
+
+  rmSync(directory, { recursive: true });
+  recorder[Symbol.dispose]();
+  imported[Symbol.dispose]();
+});
+
+// Test 5: Imported operations can be sent to another context
+test('Imported recordings can be replayed through a MessagePort', async () => {
+  const recorder = new Recorder({ autoReplay: false });
+  recordSession(recorder);
+  const file = recorder.export();
+
+  const messageChannel = new MessageChannel();
+  const context = createContext();
+  const replayRecorder = new Recorder({ port: messageChannel.port2, replayContext: context });
+  const imported = Recorder.import(file, { port: messageChannel.port1 });
+
+  const stats = await imported.flush();
+  assert(stats.succeeded === recorder.getRecordings().length, 'Should replay every operation');
+  assert(context.document.body.children[0].textContent === 'Saved', 'Should replay in the other context');
+
+  recorder[Symbol.dispose]();
+  imported[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
+// Test 6: Files from elsewhere
+test('import() rejects other files and versions', () => {
+  const recorder = new Recorder({ autoReplay: false });
+  const newer = { ...JSON.parse(recorder.export()), version: 2 };
+
+  for (const data of ['{"some":"json"}', 'not json at all', newer]) {
+    let thrown = null;
+    try {
+      Recorder.import(data);
+    } catch (error) {
+      thrown = error;
+    }
+    assert(thrown instanceof TypeError, `Should throw a TypeError for ${JSON.stringify(data).slice(0, 30)}`);
+  }
+
+  recorder[Symbol.dispose]();
+});
+
+// Test 7: One export stream at a time
+test('exportTo() refuses a second stream until stopped', () => {
+  const recorder = new Recorder({ autoReplay: false });
+  const stop = recorder.exportTo(createSink());
+
+  let thrown = null;
+  try {
+    recorder.exportTo(createSink());
+  } catch (error) {
+    thrown = error;
+  }
+  assert(thrown, 'Should throw while exporting');
+
+  stop();
+  recorder.exportTo(createSink());
+  recorder[Symbol.dispose]();
+});
+
+// Test 8: export() only covers what wasn't sent or replayed yet
+test('export() is empty once operations were sent or replayed, exportTo() keeps them', async () => {
+  const messageChannel = new MessageChannel();
+  const replayRecorder = new Recorder({ port: messageChannel.port2, replayContext: createContext() });
+  const recorders = [
+    new Recorder({ port: messageChannel.port1 }),
+    new Recorder({ replayContext: createContext() })
+  ];
+
+  for (const recorder of recorders) {
+    const sink = createSink();
+    recorder.exportTo(sink);
+    recordSession(recorder);
+    const operations = recorder.getRecordings().length;
+    assert(Recorder.import(recorder.export()).getRecordings().length === operations, 'Should export operations until they are sent');
+
+    await Promise.resolve();
+    assert(Recorder.import(recorder.export()).getRecordings().length === 0, 'Should export nothing once they were sent or replayed');
+    assert(Recorder.import(sink.text).getRecordings().length === operations, 'exportTo() should keep every operation');
+    recorder[Symbol.dispose]();
+  }
+
+  replayRecorder[Symbol.dispose]();
+});
+
+// Summary
+await queue;
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${passed}`);
+console.log(`Tests failed: ${failed}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -2,22 +2,27 @@
  * Tests for MessagePort and Symbol.dispose features
  */
 
-import { Recorder, createRecordHandler, RecordedObjectHandle, createRecordedObject } from './recorder.js';
+import { Recorder, createRecordHandler, RecordedObjectHandle, ReplayError, createRecordedObject } from './recorder.js';
 
 let passed = 0;
 let failed = 0;
 
+// Tests run one at a time, an async test is awaited before the next one starts
+let queue = Promise.resolve();
+
 function test(name, fn) {
-  try {
-    fn();
-    console.log(`✓ ${name}`);
-    passed++;
-  } catch (error) {
-    console.error(`✗ ${name}`);
-    console.error(`  Error: ${error.message}`);
-    console.error(error.stack);
-    failed++;
-  }
+  queue = queue.then(async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      console.error(error.stack);
+      failed++;
+    }
+  });
 }
 
 function assert(condition, message) {
@@ -47,6 +52,8 @@ test('Operations are sent through MessagePort', async () => {
   let messageReceived = false;
   
   messageChannel.port2.onmessage = (event) => {
+    // Reference count updates are posted as soon as proxies are created
+    if (event.data.type === 'refCount') return;
     messageReceived = true;
     assert(event.data.type === 'replay', 'Message should be replay type');
     assert(Array.isArray(event.data.operations), 'Should contain operations array');
@@ -229,7 +236,398 @@ test('Reference count updates are sent through MessagePort', async () => {
   messageChannel.port2.close();
 });
 
+// Test 11: Object ids stay resolvable across replay batches
+test('Objects created in an earlier batch can be used by later batches', async () => {
+  const messageChannel = new MessageChannel();
+  const created = [];
+  
+  const mockContext = {
+    document: {
+      createElement(tag) {
+        const element = { tagName: tag };
+        created.push(element);
+        return element;
+      }
+    }
+  };
+  
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  const div = proxied.document.createElement('div');
+  
+  // Wait for the first batch to be replayed
+  await recordingRecorder.flush();
+  
+  // Use the element in a later batch
+  div.id = 'later';
+  
+  await recordingRecorder.flush();
+  
+  assert(created.length === 1, 'Should have created one element');
+  assert(created[0].id === 'later', 'Later batch should update the element from the earlier batch');
+  assert(mockContext.id === undefined, 'Should not fall back to the replay context');
+  
+  messageChannel.port1.close();
+  messageChannel.port2.close();
+});
+
+// Test 12: Replay errors are reported back to the recording context
+test('Replay errors are reported through onerror and reject dependent evaluate()', async () => {
+  const messageChannel = new MessageChannel();
+  const errors = [];
+  let reported;
+  const bothReported = new Promise(resolve => { reported = resolve; });
+  
+  const mockContext = {
+    document: {
+      createElement(tag) {
+        if (tag === 'bad') {
+          throw new TypeError('Invalid tag name');
+        }
+        return { tagName: tag };
+      }
+    }
+  };
+  
+  const recordingRecorder = new Recorder({
+    port: messageChannel.port1,
+    onerror: (error) => {
+      errors.push(error);
+      if (errors.length === 2) reported();
+    }
+  });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  const bad = proxied.document.createElement('bad');
+  const badId = bad.__recordedObjectId;
+  const style = bad.style;
+  
+  // Reports travel on the recorder's port, the flush acknowledgement on its own channel
+  await recordingRecorder.flush();
+  await bothReported;
+  
+  assert(errors.length === 2, 'Should report the failure and its dependent operation');
+  assert(errors[0] instanceof ReplayError, 'Should surface a ReplayError');
+  assert(errors[0].name === 'TypeError', 'Should carry the remote error name');
+  assert(errors[0].message === 'Invalid tag name', 'Should carry the remote error message');
+  assert(errors[0].resultId === badId, 'Should carry the failing resultId');
+  assert(errors[0].remoteStack.includes('createElement'), 'Should carry the remote stack');
+  assert(errors[1].dependsOn === badId, 'Dependent operation should point at the failed id');
+  
+  let rejection = null;
+  try {
+    await recordingRecorder.evaluate(style);
+  } catch (error) {
+    rejection = error;
+  }
+  
+  assert(rejection instanceof ReplayError, 'evaluate() should reject with the ReplayError');
+  assert(rejection.name === 'TypeError', 'Rejection should carry the remote error name');
+  
+  messageChannel.port1.close();
+  messageChannel.port2.close();
+});
+
+// Test 13: flush() resolves once the other side has replayed the batch
+test('flush() resolves with replay counts after the batch is replayed', async () => {
+  const messageChannel = new MessageChannel();
+  const created = [];
+  
+  const mockContext = {
+    document: {
+      createElement(tag) {
+        if (tag === 'bad') {
+          throw new TypeError('Invalid tag name');
+        }
+        created.push(tag);
+        return { tagName: tag };
+      }
+    }
+  };
+  
+  const recordingRecorder = new Recorder({
+    port: messageChannel.port1,
+    onerror: () => {}
+  });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext,
+    asyncReplay: true
+  });
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  proxied.document.createElement('div');
+  proxied.document.createElement('bad');
+  
+  const stats = await recordingRecorder.flush();
+  
+  assert(created.length === 1 && created[0] === 'div', 'Operations should be replayed before flush() resolves');
+  assert(stats.succeeded === 5, `Should count succeeded operations (got ${stats.succeeded})`);
+  assert(stats.failed === 1, `Should count failed operations (got ${stats.failed})`);
+  assert(recordingRecorder.recordings.length === 0, 'Pending operations should have been sent');
+  
+  const empty = await recordingRecorder.flush();
+  assert(empty.succeeded === 0 && empty.failed === 0, 'Counts should reset after each flush');
+  
+  messageChannel.port1.close();
+  messageChannel.port2.close();
+});
+
+// Test 14: Releasing a proxy releases the replayed object after its pending operations
+test('Disposing a proxy releases the replayed object once pending operations ran', async () => {
+  const messageChannel = new MessageChannel();
+  const created = [];
+  
+  const mockContext = {
+    document: {
+      createElement(tag) {
+        const element = { tagName: tag };
+        created.push(element);
+        return element;
+      }
+    }
+  };
+  
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  const div = proxied.document.createElement('div');
+  const divId = div.__recordedObjectId;
+  div.id = 'released';
+  div[Symbol.dispose]();
+  
+  await recordingRecorder.flush();
+  
+  assert(created[0].id === 'released', 'Operations recorded before the release should be replayed');
+  assert(!replayRecorder.objectRegistry.has(divId), 'The replayed object should be released');
+  assert(!recordingRecorder.objectRefCounts.has(divId), 'The recording side should forget the id');
+  
+  messageChannel.port1.close();
+  messageChannel.port2.close();
+});
+
+// Test 15: finalize messages release objects
+test('Garbage collected proxies release their replayed objects', async () => {
+  const messageChannel = new MessageChannel();
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  
+  const mockContext = {
+    document: {
+      createElement(tag) {
+        return { tagName: tag };
+      }
+    }
+  };
+  
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  const span = proxied.document.createElement('span');
+  const spanId = span.__recordedObjectId;
+  await recordingRecorder.flush();
+  assert(replayRecorder.objectRegistry.has(spanId), 'The object should be alive while referenced');
+  
+  // What the FinalizationRegistry does when the proxy is collected
+  recordingRecorder._handleFinalization(spanId);
+  await recordingRecorder.flush();
+  console.warn = originalWarn;
+  
+  assert(!replayRecorder.objectRegistry.has(spanId), 'A finalized proxy should release its object');
+  assert(!warnings.some(warning => warning.includes('Unknown message type')), 'finalize should be a known message');
+  
+  messageChannel.port1.close();
+  messageChannel.port2.close();
+});
+
+// Test 16: Releases wait for async replay batches
+test('Releases wait for async replay batches that still use the object', async () => {
+  const messageChannel = new MessageChannel();
+  const received = [];
+  
+  const mockContext = {
+    async load() {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { loaded: true };
+    },
+    use(value) {
+      received.push(value);
+    }
+  };
+  
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext,
+    asyncReplay: true
+  });
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  const data = proxied.load();
+  proxied.use(data);
+  data[Symbol.dispose]();
+  
+  await recordingRecorder.flush();
+  
+  assert(received.length === 1 && received[0].loaded, 'The pipelined value should still be used');
+  assert(!replayRecorder.objectRegistry.has(data.__recordedObjectId), 'The object should be released afterwards');
+  
+  messageChannel.port1.close();
+  messageChannel.port2.close();
+});
+
+// Test 17: Disposing the recorder releases everything on the other side
+test('Disposing a recorder releases its objects in the other context', async () => {
+  const messageChannel = new MessageChannel();
+  
+  const mockContext = {
+    document: {
+      createElement(tag) {
+        return { tagName: tag };
+      }
+    }
+  };
+  
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  const elements = [proxied.document.createElement('a'), proxied.document.createElement('b')];
+  proxied.document.onchange = () => {};
+  await recordingRecorder.flush();
+  
+  // Three document reads, two createElement lookups and the two elements
+  const before = replayRecorder.getObjectStats();
+  assert(before.objects === 7, `Should count replayed objects (got ${before.objects})`);
+  assert(before.functionWrappers === 1, 'Should count function wrappers');
+  assert(recordingRecorder.getObjectStats().functionChannels === 1, 'Should count function channels');
+  
+  recordingRecorder[Symbol.dispose]();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  
+  const after = replayRecorder.getObjectStats();
+  assert(after.objects === 0 && after.referenced === 0, 'Should release every object');
+  assert(after.functionWrappers === 0, 'Should release function wrappers');
+  
+  messageChannel.port2.close();
+});
+
+// Test 18: Batches the other side can't read reject flush()
+test('flush() rejects when the other side cannot read the batch', async () => {
+  const messageChannel = new MessageChannel();
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  
+  const recordingRecorder = new Recorder({ port: messageChannel.port1, wireFormat: 'binary' });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: { document: {} }
+  });
+  
+  // Corrupt the next batch the way a recorder of another version would send it
+  const postMessage = recordingRecorder.port.postMessage.bind(recordingRecorder.port);
+  const corruptions = [
+    (message) => { new Uint8Array(message.batch)[0] = 0xff; },
+    (message) => { delete message.batch; message.operations = 'not an array'; }
+  ];
+  
+  for (const corrupt of corruptions) {
+    recordingRecorder.port.postMessage = (message, transfer) => {
+      if (message.type === 'replay') {
+        corrupt(message);
+      }
+      postMessage(message, transfer);
+    };
+    
+    const handler = createRecordHandler(recordingRecorder);
+    new Proxy({}, handler).document.title = 'Unread';
+    
+    let rejection = null;
+    try {
+      await recordingRecorder.flush();
+    } catch (error) {
+      rejection = error;
+    }
+    assert(rejection && rejection.message.includes('Invalid replay message'), 'flush() should reject');
+  }
+  console.warn = originalWarn;
+  
+  messageChannel.port1.close();
+  messageChannel.port2.close();
+});
+
+// Test 19: Garbage collected callbacks release their wrappers
+test('Garbage collected functions release their wrappers in the other context', async () => {
+  const messageChannel = new MessageChannel();
+  const mockContext = { document: {} };
+  
+  const recordingRecorder = new Recorder({ port: messageChannel.port1 });
+  const replayRecorder = new Recorder({
+    port: messageChannel.port2,
+    replayContext: mockContext
+  });
+  
+  const handler = createRecordHandler(recordingRecorder);
+  const proxied = new Proxy({}, handler);
+  
+  // A fresh closure per render, like a UI assigning event handlers
+  for (let render = 0; render < 3; render++) {
+    proxied.document.onclick = () => render;
+  }
+  await recordingRecorder.flush();
+  assert(replayRecorder.getObjectStats().functionWrappers === 3, 'Should create a wrapper per function');
+  
+  // What the FinalizationRegistry does when the functions are collected
+  for (const channelId of [...recordingRecorder.activeChannels.keys()].slice(0, 2)) {
+    recordingRecorder._handleChannelFinalization(channelId);
+  }
+  await recordingRecorder.flush();
+  
+  assert(recordingRecorder.getObjectStats().functionChannels === 1, 'Should close the collected channels');
+  assert(replayRecorder.getObjectStats().functionWrappers === 1, 'Should release the collected wrappers');
+  assert(replayRecorder.functionPorts.size === 1, 'Should close the collected ports');
+  
+  recordingRecorder[Symbol.dispose]();
+  replayRecorder[Symbol.dispose]();
+});
+
 // Summary
+await queue;
 console.log('\n' + '='.repeat(50));
 console.log(`Tests passed: ${passed}`);
 console.log(`Tests failed: ${failed}`);
@@ -0,0 +1,319 @@
+/**
+ * Tests for transports other than MessagePort
+ */
+
+import { fork } from 'node:child_process';
+import { PassThrough } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import { Recorder, createRecordHandler, transfer } from './recorder.js';
+import {
+  createWorkerTransport,
+  createProcessTransport,
+  createStreamTransport,
+  createWindowTransport
+} from './transports.js';
+
+// Context replayed into by the child process and the main thread
+function createContext() {
+  const created = [];
+  return {
+    created,
+    received: [],
+    document: {
+      createElement(tag) {
+        const element = { tagName: tag.toUpperCase(), textContent: '' };
+        created.push(element);
+        return element;
+      }
+    },
+    async compute(callback) {
+      return { doubled: await callback(21) };
+    },
+    drop(callback) {
+      callback(new Blob(['data']));
+    },
+    receive(value) {
+      this.received.push(value);
+    }
+  };
+}
+
+if (process.argv[2] === 'child') {
+  // Child process side: replay whatever the parent records
+  new Recorder({
+    transport: createProcessTransport(),
+    replayContext: createContext(),
+    asyncReplay: true
+  });
+} else if (!isMainThread) {
+  // Worker side: record operations and leave once they were replayed
+  const recorder = new Recorder({ transport: createWorkerTransport(parentPort) });
+  const proxied = new Proxy({}, createRecordHandler(recorder));
+
+  const element = proxied.document.createElement('p');
+  element.textContent = workerData.text;
+  proxied.receive(transfer(new Uint8Array([1, 2, 3])));
+
+  await recorder.flush();
+  recorder[Symbol.dispose]();
+} else {
+  let passed = 0;
+  let failed = 0;
+
+  // Tests run one at a time, an async test is awaited before the next one starts
+  let queue = Promise.resolve();
+
+  function test(name, fn) {
+    queue = queue.then(async () => {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}`);
+        console.error(`  Error: ${error.message}`);
+        console.error(error.stack);
+        failed++;
+      }
+    });
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  // Two recorders talking over a pair of in-memory byte streams
+  function createStreamPair(replayContext) {
+    const toReplay = new PassThrough();
+    const toRecord = new PassThrough();
+
+    const recordingRecorder = new Recorder({ transport: createStreamTransport(toRecord, toReplay) });
+    const replayRecorder = new Recorder({
+      transport: createStreamTransport(toReplay, toRecord),
+      replayContext,
+      asyncReplay: true
+    });
+
+    return { toReplay, toRecord, recordingRecorder, replayRecorder };
+  }
+
+  // A fake window, messages posted to it come from `source`
+  function createFakeWindow(origin) {
+    const window = new EventTarget();
+    window.origin = origin;
+    window.connect = (source) => {
+      window.postMessage = (data, targetOrigin, transferList) => {
+        if (targetOrigin !== '*' && targetOrigin !== window.origin) return;
+        const event = Object.assign(new Event('message'), {
+          data: structuredClone(data, { transfer: transferList }),
+          source,
+          origin: source.origin
+        });
+        setTimeout(() => window.dispatchEvent(event));
+      };
+    };
+    return window;
+  }
+
+  console.log('Running Transport Tests\n');
+
+  // Test 1: Operations and evaluate() over byte streams
+  test('Stream transport replays operations and evaluates values', async () => {
+    const context = createContext();
+    const { recordingRecorder, replayRecorder } = createStreamPair(context);
+    const proxied = new Proxy({}, createRecordHandler(recordingRecorder));
+
+    const element = proxied.document.createElement('div');
+    element.textContent = 'Hello';
+
+    const stats = await recordingRecorder.flush();
+    assert(stats.succeeded === 4, `Should acknowledge the batch (got ${stats.succeeded})`);
+    assert(context.created[0].textContent === 'Hello', 'Should replay on the other side');
+
+    const value = await recordingRecorder.evaluate(element.tagName);
+    assert(value === 'DIV', 'Should evaluate values over the stream');
+
+    recordingRecorder[Symbol.dispose]();
+    replayRecorder[Symbol.dispose]();
+  });
+
+  // Test 2: Callbacks and their return values use forwarded ports
+  test('Stream transport forwards function channels and response ports', async () => {
+    const { recordingRecorder, replayRecorder } = createStreamPair(createContext());
+    const proxied = new Proxy({}, createRecordHandler(recordingRecorder));
+
+    const calls = [];
+    const result = proxied.compute(recordingRecorder.handler((value) => {
+      calls.push(value);
+      return value * 2;
+    }, { returnValue: true }));
+
+    const value = await recordingRecorder.evaluate(result);
+    assert(calls.length === 1 && calls[0] === 21, 'Callback should be called with its argument');
+    assert(value.doubled === 42, 'Callback return value should reach the other side');
+
+    recordingRecorder[Symbol.dispose]();
+    replayRecorder[Symbol.dispose]();
+  });
+
+  // Test 3: The JSON codec can't carry Blobs, they are sent by reference
+  test('Stream transport passes Blob callback arguments by reference', async () => {
+    const { recordingRecorder, replayRecorder } = createStreamPair(createContext());
+    const proxied = new Proxy({}, createRecordHandler(recordingRecorder));
+
+    const dropped = new Promise(resolve => proxied.drop(resolve));
+    const blob = await dropped;
+    assert(!(blob instanceof Blob), 'Should receive a proxy');
+    assert(await recordingRecorder.evaluate(blob.size) === 4, 'Should read the live Blob');
+
+    recordingRecorder[Symbol.dispose]();
+    replayRecorder[Symbol.dispose]();
+  });
+
+  // Test 4: Other output on the stream is skipped
+  test('Stream transport skips lines that are not frames', async () => {
+    const context = createContext();
+    const { toReplay, recordingRecorder, replayRecorder } = createStreamPair(context);
+    const proxied = new Proxy({}, createRecordHandler(recordingRecorder));
+
+    toReplay.write('some log output\n');
+    toReplay.write('{"not":"a frame"}\n');
+    proxied.document.createElement('span');
+
+    await recordingRecorder.flush();
+    assert(context.created.length === 1, 'Should replay the operations around other output');
+
+    recordingRecorder[Symbol.dispose]();
+    replayRecorder[Symbol.dispose]();
+  });
+
+  // Test 5: Values JSON can't carry survive the stream
+  test('Stream transport keeps values JSON would lose', async () => {
+    const context = createContext();
+    const { recordingRecorder, replayRecorder } = createStreamPair(context);
+    const proxied = new Proxy({}, createRecordHandler(recordingRecorder));
+
+    proxied.receive(new Map([[1n, undefined]]), new Date(0), new Uint8Array([7]));
+    await recordingRecorder.flush();
+
+    const [map] = context.received;
+    assert(map instanceof Map && map.has(1n) && map.get(1n) === undefined, 'Should keep Maps, BigInts and undefined');
+
+    recordingRecorder[Symbol.dispose]();
+    replayRecorder[Symbol.dispose]();
+  });
+
+  // Test 6: A forked child replays over its IPC channel
+  test('Process transport replays in a child process', async () => {
+    const child = fork(fileURLToPath(import.meta.url), ['child']);
+    const recorder = new Recorder({ transport: createProcessTransport(child) });
+    const proxied = new Proxy({}, createRecordHandler(recorder));
+
+    const element = proxied.document.createElement('section');
+    element.textContent = 'From the parent';
+    const result = proxied.compute(recorder.handler(value => value * 2, { returnValue: true }));
+
+    const values = await recorder.evaluate({ text: element.textContent, result });
+    assert(values.text === 'From the parent', 'Should replay in the child');
+    assert(values.result.doubled === 42, 'Callbacks should work over IPC');
+
+    recorder[Symbol.dispose]();
+    child.disconnect();
+  });
+
+  // Test 7: createProcessTransport() needs an IPC channel
+  test('Process transport requires an IPC channel', () => {
+    let thrown = null;
+    try {
+      createProcessTransport({});
+    } catch (error) {
+      thrown = error;
+    }
+    assert(thrown instanceof TypeError, 'Should throw a TypeError');
+  });
+
+  // Test 8: A worker_threads Worker records, the main thread replays
+  test('Worker transport replays operations recorded in a worker', async () => {
+    const context = createContext();
+    const worker = new Worker(new URL(import.meta.url), { workerData: { text: 'From the worker' } });
+    const recorder = new Recorder({ transport: createWorkerTransport(worker), replayContext: context });
+
+    await new Promise((resolve, reject) => {
+      worker.once('exit', resolve);
+      worker.once('error', reject);
+    });
+
+    assert(context.created[0].textContent === 'From the worker', 'Should replay operations from the worker');
+    assert(context.received[0] instanceof Uint8Array && context.received[0][2] === 3, 'Should transfer buffers');
+
+    recorder[Symbol.dispose]();
+  });
+
+  // Test 9: Windows only accept messages from the expected window and origin
+  test('Window transport checks the source and origin of messages', async () => {
+    const page = createFakeWindow('https://app.example');
+    const frame = createFakeWindow('https://frame.example');
+    const evil = createFakeWindow('https://evil.example');
+    frame.connect(page);
+    page.connect(frame);
+
+    const context = createContext();
+    const recordingRecorder = new Recorder({
+      transport: createWindowTransport(page, { targetOrigin: 'https://app.example', receiver: frame })
+    });
+    const replayRecorder = new Recorder({
+      transport: createWindowTransport(frame, { targetOrigin: 'https://frame.example', receiver: page }),
+      replayContext: context
+    });
+    const proxied = new Proxy({}, createRecordHandler(recordingRecorder));
+
+    proxied.document.createElement('iframe-content');
+    await recordingRecorder.flush();
+    assert(context.created.length === 1, 'Should replay messages from the frame');
+
+    // Another page posting a copy of a valid frame
+    const forged = Object.assign(new Event('message'), {
+      data: { __recorderFrame: 'message', data: { type: 'replay', operations: [] } },
+      source: evil,
+      origin: evil.origin
+    });
+    let delivered = false;
+    const original = replayRecorder._handlePortMessage;
+    replayRecorder._handlePortMessage = (...args) => {
+      delivered = true;
+      return original.apply(replayRecorder, args);
+    };
+    page.dispatchEvent(forged);
+    assert(!delivered, 'Should ignore messages from other windows');
+
+    recordingRecorder[Symbol.dispose]();
+    replayRecorder[Symbol.dispose]();
+  });
+
+  // Test 10: A window transport needs origins
+  test('Window transport requires a targetOrigin and a specific origin', () => {
+    const errors = [];
+    for (const options of [{}, { targetOrigin: '*' }]) {
+      try {
+        createWindowTransport(createFakeWindow('https://app.example'), options);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+    assert(errors.length === 2 && errors.every(error => error instanceof TypeError), 'Should throw TypeErrors');
+  });
+
+  // Summary
+  await queue;
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests passed: ${passed}`);
+  console.log(`Tests failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
@@ -2,22 +2,27 @@
  * Tests for JavaScript Recorder (Non-Executing Mode)
  */
 
-import { Recorder, createRecordHandler } from './recorder.js';
+import { Recorder, createRecordHandler, ReplayError } from './recorder.js';
 
 let passed = 0;
 let failed = 0;
 
+// Tests run one at a time, an async test is awaited before the next one starts
+let queue = Promise.resolve();
+
 function test(name, fn) {
-  try {
-    fn();
-    console.log(`✓ ${name}`);
-    passed++;
-  } catch (error) {
-    console.error(`✗ ${name}`);
-    console.error(`  Error: ${error.message}`);
-    console.error(error.stack);
-    failed++;
-  }
+  queue = queue.then(async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      console.error(error.stack);
+      failed++;
+    }
+  });
 }
 
 function assert(condition, message) {
@@ -234,7 +239,282 @@ test('Automatic replay on microtask', async () => {
   assert(elementCreated === true, 'Should execute after microtask');
 });
 
+// Test 12: Promise pipelining in async replay mode
+test('Async replay awaits pipelined Promises before dependent operations', async () => {
+  const received = [];
+  const mockWindow = {
+    async fetch(url) {
+      return {
+        async json() {
+          return { url };
+        }
+      };
+    },
+    store(value) {
+      received.push(value);
+    }
+  };
+  
+  const recorder = new Recorder({ autoReplay: false, asyncReplay: true });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+  
+  const data = proxied.fetch('/data.json').json();
+  proxied.store(data);
+  proxied.store('after');
+  
+  const results = await recorder.replay(mockWindow);
+  
+  assert(results.every(result => !result || !result.error), 'No operation should fail');
+  assert(received.length === 2, 'Both store calls should run');
+  assert(received[0].url === '/data.json', 'Should receive the resolved JSON value');
+  assert(received[1] === 'after', 'Should keep the order of operations');
+});
+
+// Test 13: Call-site capture
+test('captureStacks attaches the recording call site to operations', () => {
+  const recorder = new Recorder({ autoReplay: false, captureStacks: true });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+  
+  proxied.document.createElement('div');
+  
+  assert(
+    recorder.recordings.every(r => r.callSite && r.callSite.includes('test.js')),
+    'Every operation should point at the recording line in test.js'
+  );
+  
+  const plain = new Recorder({ autoReplay: false });
+  new Proxy({}, createRecordHandler(plain)).document;
+  assert(plain.recordings[0].callSite === undefined, 'Call sites should be opt-in');
+});
+
+// Test 14: Call sites in replay error reports
+test('Replay errors include the recording call site', () => {
+  const errors = [];
+  const recorder = new Recorder({
+    autoReplay: false,
+    captureStacks: true,
+    onerror: (error) => errors.push(error)
+  });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+  
+  proxied.missing.method();
+  recorder.replay({});
+  
+  assert(errors.length > 0, 'Should report the failing operation');
+  assert(errors[0] instanceof ReplayError, 'Should report a ReplayError');
+  assert(errors[0].callSite.includes('test.js'), 'Report should include the call site');
+});
+
+// Test 15: flush() without a port replays locally
+test('flush() replays pending operations in the local replay context', async () => {
+  let elementCreated = false;
+  const mockWindow = {
+    document: {
+      createElement(tag) {
+        elementCreated = true;
+        return { tag };
+      }
+    }
+  };
+  
+  const recorder = new Recorder({ replayContext: mockWindow });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+  
+  proxied.document.createElement('div');
+  const stats = await recorder.flush();
+  
+  assert(elementCreated, 'Should replay before flush() resolves');
+  assert(stats.succeeded === 3 && stats.failed === 0, 'Should report replay counts');
+});
+
+// Test 16: Streams in local replay
+test('Streams passed to proxies are replayed as the same stream', () => {
+  let received = null;
+  const mockWindow = {
+    consume(stream) {
+      received = stream;
+    }
+  };
+  
+  const recorder = new Recorder({ autoReplay: false });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+  
+  const stream = new ReadableStream();
+  proxied.consume(stream);
+  recorder.replay(mockWindow);
+  
+  assert(received === stream, 'Should receive the stream instead of undefined');
+});
+
+// Test 17: Proxies nested in arguments
+test('Proxies nested in objects, arrays, Maps and Sets resolve on replay', () => {
+  let received = null;
+  const mockWindow = {
+    document: {
+      createElement(tag) {
+        return { tag };
+      }
+    },
+    controller: {
+      signal: { aborted: false }
+    },
+    configure(options) {
+      received = options;
+    }
+  };
+  
+  const recorder = new Recorder({ autoReplay: false });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+  
+  const a = proxied.document.createElement('a');
+  const b = proxied.document.createElement('b');
+  const options = {
+    signal: proxied.controller.signal,
+    elements: [a, b],
+    byName: new Map([['a', a]]),
+    unique: new Set([b]),
+    nested: { deeper: { element: a } },
+    plain: { count: 1 }
+  };
+  options.self = options;
+  proxied.configure(options);
+  
+  const applyOp = recorder.recordings.find(r => r.type === 'apply' && r.args[0] && r.args[0].plain);
+  assert(applyOp.args[0].signal.__recordedObjectId, 'Should serialize nested proxies as object IDs');
+  assert(applyOp.args[0] !== options, 'Should not modify the original options');
+  
+  recorder.replay(mockWindow);
+  
+  assert(received.signal === mockWindow.controller.signal, 'Should resolve a proxy in an object');
+  assert(received.elements[0].tag === 'a' && received.elements[1].tag === 'b', 'Should resolve proxies in arrays');
+  assert(received.byName.get('a') === received.elements[0], 'Should resolve proxies in Maps');
+  assert([...received.unique][0] === received.elements[1], 'Should resolve proxies in Sets');
+  assert(received.nested.deeper.element === received.elements[0], 'Should resolve deeply nested proxies');
+  assert(received.plain.count === 1, 'Should keep plain values');
+  assert(received.self === received, 'Should keep circular references');
+});
+
+// Test 18: Nested references take part in dependency tracking
+test('Operations with a nested reference to a failed result fail too', () => {
+  const errors = [];
+  const mockWindow = {
+    broken() {
+      throw new TypeError('Broken');
+    },
+    configure() {}
+  };
+  
+  const recorder = new Recorder({ autoReplay: false, onerror: (error) => errors.push(error) });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+  
+  const result = proxied.broken();
+  proxied.configure({ items: [result] });
+  recorder.replay(mockWindow);
+  
+  const dependent = errors.find(error => error.dependsOn);
+  assert(dependent && dependent.dependsOn === result.__recordedObjectId, 'Should point at the failed operation');
+});
+
+// Test 19: Callbacks in local replay
+test('Functions passed to proxies can be called after a local replay', async () => {
+  const mockWindow = { onload: null };
+  
+  const recorder = new Recorder({ autoReplay: false });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+  
+  let loaded = null;
+  proxied.onload = (value) => {
+    loaded = value;
+  };
+  recorder.replay(mockWindow);
+  
+  assert(typeof mockWindow.onload === 'function', 'Should assign a function');
+  mockWindow.onload('done');
+  
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert(loaded === 'done', 'The call should reach the original function');
+  
+  recorder[Symbol.dispose]();
+});
+
+// Test 20: Rejected pipelined results nothing depends on
+test('Async replay reports rejected Promise results under their resultId', async () => {
+  const errors = [];
+  const mockWindow = {
+    async fail() {
+      throw new TypeError('Offline');
+    },
+    ok() {
+      return 1;
+    }
+  };
+
+  const recorder = new Recorder({ autoReplay: false, asyncReplay: true, onerror: (error) => errors.push(error) });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+
+  const failed = proxied.fail();
+  proxied.ok();
+  await recorder.replay(mockWindow);
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert(errors.length === 1, `Should report the rejection once (got ${errors.length})`);
+  assert(errors[0] instanceof ReplayError && errors[0].name === 'TypeError', 'Should report a ReplayError');
+  assert(errors[0].resultId === failed.__recordedObjectId, 'Should credit the operation that returned the Promise');
+  assert(recorder.failedOperations.has(failed.__recordedObjectId), 'Should remember the failed result');
+
+  // Later operations on the result fail as dependents
+  proxied.ok(failed);
+  await recorder.replay(mockWindow);
+  assert(errors[1] && errors[1].dependsOn === failed.__recordedObjectId, 'Dependent operations should point at it');
+
+  recorder[Symbol.dispose]();
+});
+
+// Test 21: Callback arguments already in the object table
+test('Callback arguments are looked up by object, not by scanning the object table', async () => {
+  class PointerEvent {}
+  const mockWindow = {
+    element: { tagName: 'DIV' },
+    listen(callback) {
+      this.callback = callback;
+    }
+  };
+  
+  const recorder = new Recorder({ autoReplay: false });
+  const handler = createRecordHandler(recorder);
+  const proxied = new Proxy({}, handler);
+  
+  const ids = [];
+  const element = proxied.element;
+  proxied.listen((target) => ids.push(target.__recordedObjectId));
+  recorder.replay(mockWindow);
+  
+  const event = new PointerEvent();
+  mockWindow.callback(mockWindow.element);
+  mockWindow.callback(event);
+  const size = recorder.objectRegistry.size;
+  mockWindow.callback(event);
+  mockWindow.callback(mockWindow.element);
+  
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert(ids[0] === element.__recordedObjectId && ids[3] === ids[0], 'Replayed objects should keep their id');
+  assert(ids[1].startsWith('remote_') && ids[2] === ids[1], 'Objects sent by reference should be registered once');
+  assert(recorder.objectRegistry.size === size, 'Repeated calls should not grow the object table');
+  
+  recorder[Symbol.dispose]();
+});
+
 // Summary
+await queue;
 console.log('\n' + '='.repeat(50));
 console.log(`Tests passed: ${passed}`);
 console.log(`Tests failed: ${failed}`);
@@ -0,0 +1,362 @@
+/**
+ * Transports - carry Recorder messages across boundaries other than a MessagePort
+ *
+ * A transport has the part of the MessagePort interface a Recorder uses:
+ * `postMessage(message, transfer)`, `onmessage`, `start()` and `close()`.
+ * Pass one as the `transport` option of the Recorder on each side.
+ */
+
+import { encode, decode, stringify, parse } from './codec.js';
+import { mapDeep } from './walk.js';
+
+// Marks frames sent by a transport, other messages on the same channel are ignored
+const FRAME_KEY = '__recorderFrame';
+
+// Stands in for a MessagePort on transports that cannot transfer ports
+const PORT_KEY = '__transportPort';
+
+class Transport {
+  /**
+   * @param {Object} endpoint
+   * @param {Function} endpoint.send - Send a frame, with a transfer list when `transfersPorts` is set
+   * @param {Function} endpoint.listen - Start passing received frames to a function, returns a function that stops
+   * @param {boolean} [endpoint.transfersPorts=false] - Whether the endpoint transfers MessagePorts itself
+   */
+  constructor({ send, listen, transfersPorts = false }) {
+    this.onmessage = null;
+    this._send = send;
+    this._listen = listen;
+    this._stopListening = null;
+    this._closed = false;
+
+    // Whether messages are structured-cloned, otherwise values are written with
+    // the JSON codec and Blobs can't be sent
+    this.transfers = transfersPorts;
+
+    // Ports are forwarded over the transport itself when it cannot transfer them
+    this._ports = transfersPorts ? null : new PortMultiplexer((frame) => this._sendFrame(frame));
+  }
+
+  /**
+   * Send a message to the other side
+   * @param {any} message - The message
+   * @param {Array} [transfer] - Objects to transfer instead of copy
+   */
+  postMessage(message, transfer = []) {
+    if (this._ports) {
+      this._sendFrame({ [FRAME_KEY]: 'message', data: this._ports.encode(message) });
+    } else {
+      this._sendFrame({ [FRAME_KEY]: 'message', data: message }, transfer);
+    }
+  }
+
+  /**
+   * Start delivering received messages to `onmessage`
+   */
+  start() {
+    if (this._stopListening || this._closed) return;
+    this._stopListening = this._listen((frame) => this._receive(frame));
+  }
+
+  /**
+   * Stop listening and close every port forwarded over this transport
+   */
+  close() {
+    this._closed = true;
+    if (this._stopListening) {
+      this._stopListening();
+      this._stopListening = null;
+    }
+    this._ports?.close();
+  }
+
+  /**
+   * @private
+   */
+  _sendFrame(frame, transfer) {
+    if (!this._closed) {
+      this._send(frame, transfer);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _receive(frame) {
+    if (!frame || typeof frame !== 'object' || !(FRAME_KEY in frame)) {
+      return;
+    }
+
+    if (frame[FRAME_KEY] === 'message') {
+      const data = this._ports ? this._ports.decode(frame.data).value : frame.data;
+      if (this.onmessage) {
+        this.onmessage({ data });
+      }
+    } else if (this._ports) {
+      this._ports.receive(frame);
+    }
+  }
+}
+
+/**
+ * Forwards MessagePorts found in messages as frames on the transport
+ *
+ * A port sent to the other side stays here and gets an id. The other side
+ * hands out a new MessageChannel port in its place, and both ends relay
+ * messages and closing through `port` and `close` frames.
+ * @private
+ */
+class PortMultiplexer {
+  constructor(send) {
+    this.send = send;
+    this.ports = new Map(); // id -> local end of a forwarded port
+    this.counter = 0;
+
+    // Both sides hand out ids, the prefix keeps them apart
+    this.prefix = Math.random().toString(36).slice(2);
+  }
+
+  /**
+   * Replace MessagePorts in arrays, plain objects, Maps and Sets with markers
+   * @param {any} value - The message
+   * @returns {any} The message with port markers
+   */
+  encode(value) {
+    return mapDeep(value, (item) => {
+      if (!isMessagePort(item)) return item;
+      const id = `${this.prefix}_${this.counter++}`;
+      this._attach(id, item);
+      return { [PORT_KEY]: id };
+    });
+  }
+
+  /**
+   * Replace port markers with ports relaying to the other side
+   * @param {any} value - The message with port markers
+   * @returns {{value: any, ports: MessagePort[]}} The message and the ports it now contains
+   */
+  decode(value) {
+    const ports = [];
+    const decoded = mapDeep(value, (item) => {
+      if (!item || typeof item[PORT_KEY] !== 'string') return item;
+      const channel = new MessageChannel();
+      this._attach(item[PORT_KEY], channel.port1);
+      ports.push(channel.port2);
+      return channel.port2;
+    });
+    return { value: decoded, ports };
+  }
+
+  /**
+   * Handle a `port` or `close` frame from the other side
+   * @param {Object} frame - The frame
+   */
+  receive(frame) {
+    const port = this.ports.get(frame.port);
+    if (!port) return;
+
+    if (frame[FRAME_KEY] === 'close') {
+      this.ports.delete(frame.port);
+      port.close();
+    } else if (frame[FRAME_KEY] === 'port') {
+      const { value, ports } = this.decode(frame.data);
+      port.postMessage(value, ports);
+    }
+  }
+
+  /**
+   * Close every forwarded port
+   */
+  close() {
+    const ports = [...this.ports.values()];
+    this.ports.clear();
+    for (const port of ports) {
+      port.close();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _attach(id, port) {
+    this.ports.set(id, port);
+    port.onmessage = (event) => {
+      this.send({ [FRAME_KEY]: 'port', port: id, data: this.encode(event.data) });
+    };
+
+    // Either end closing the port closes the other side too
+    port.addEventListener('close', () => {
+      if (this.ports.delete(id)) {
+        this.send({ [FRAME_KEY]: 'close', port: id });
+      }
+    });
+  }
+}
+
+/**
+ * Check if a value is a MessagePort
+ * @param {any} value - The value to check
+ * @returns {boolean}
+ */
+function isMessagePort(value) {
+  return typeof MessagePort === 'function' && value instanceof MessagePort;
+}
+
+/**
+ * Listen to an EventEmitter (Node) or an EventTarget (browser)
+ * @param {Object} target - The emitter or event target
+ * @param {string} type - The event name
+ * @param {Function} receive - Called with the message data
+ * @returns {Function} Stops listening
+ */
+function listen(target, type, receive) {
+  if (typeof target.on === 'function') {
+    target.on(type, receive);
+    return () => target.off(type, receive);
+  }
+
+  const listener = (event) => receive(event.data);
+  target.addEventListener(type, listener);
+  if (typeof target.start === 'function') {
+    target.start();
+  }
+  return () => target.removeEventListener(type, listener);
+}
+
+/**
+ * Create a transport over a Worker, a Node `worker_threads` Worker or `parentPort`,
+ * or a worker's global scope
+ * @param {Worker|MessagePort|Object} endpoint - Anything with `postMessage(message, transfer)` and message events
+ * @returns {Transport}
+ */
+function createWorkerTransport(endpoint) {
+  return new Transport({
+    transfersPorts: true,
+    send: (frame, transfer) => endpoint.postMessage(frame, transfer),
+    listen: (receive) => listen(endpoint, 'message', receive)
+  });
+}
+
+/**
+ * Create a transport over a `child_process` IPC channel
+ *
+ * IPC cannot transfer objects, so MessagePorts are forwarded over the channel and
+ * everything else is written with the lossless JSON codec. The transport closes
+ * when the channel disconnects.
+ * @param {ChildProcess|process} [child=process] - A forked child, or `process` inside the child
+ * @returns {Transport}
+ */
+function createProcessTransport(child = process) {
+  if (typeof child.send !== 'function') {
+    throw new TypeError('[Recorder] createProcessTransport() needs a process with an IPC channel');
+  }
+
+  const transport = new Transport({
+    send: (frame) => {
+      if (child.connected) {
+        // A failed write means the other side is gone
+        child.send(encode(frame), (error) => error && transport.close());
+      }
+    },
+    listen: (receive) => {
+      const stopListening = listen(child, 'message', (message) => {
+        let frame;
+        try {
+          frame = decode(message);
+        } catch (error) {
+          // Another message on the same channel
+          return;
+        }
+        receive(frame);
+      });
+
+      // Nothing can reach the other side anymore, forwarded ports are closed too
+      const onDisconnect = () => transport.close();
+      child.on('disconnect', onDisconnect);
+
+      return () => {
+        stopListening();
+        child.off('disconnect', onDisconnect);
+      };
+    }
+  });
+  return transport;
+}
+
+/**
+ * Create a transport over byte streams, one JSON message per line
+ *
+ * Lines that are not transport frames, like log output, are skipped. Values
+ * are written with the lossless JSON codec and MessagePorts are forwarded over
+ * the stream.
+ * @param {Readable} readable - Stream to read messages from, like `process.stdin` or a socket
+ * @param {Writable} [writable=readable] - Stream to write messages to, like `process.stdout`
+ * @returns {Transport}
+ */
+function createStreamTransport(readable, writable = readable) {
+  return new Transport({
+    send: (frame) => writable.write(stringify(frame) + '\n'),
+    listen: (receive) => {
+      const decoder = new TextDecoder();
+      let buffered = '';
+
+      const onData = (chunk) => {
+        buffered += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+
+        for (const line of lines) {
+          let frame;
+          try {
+            frame = parse(line);
+          } catch (error) {
+            continue;
+          }
+          receive(frame);
+        }
+      };
+
+      readable.on('data', onData);
+      return () => {
+        readable.off('data', onData);
+        readable.pause();
+      };
+    }
+  });
+}
+
+/**
+ * Create a transport between windows, like a page and one of its frames
+ *
+ * Only messages sent by `target` from the expected origin are accepted.
+ * @param {Window} target - The window to talk to, like `iframe.contentWindow` or `window.parent`
+ * @param {Object} options
+ * @param {string} options.targetOrigin - Origin `target` must have for messages to be delivered
+ * @param {string} [options.origin=targetOrigin] - Origin messages are accepted from
+ * @param {Window} [options.receiver=globalThis] - Window receiving the messages
+ * @returns {Transport}
+ */
+function createWindowTransport(target, { targetOrigin, origin = targetOrigin, receiver = globalThis } = {}) {
+  if (!targetOrigin) {
+    throw new TypeError('[Recorder] createWindowTransport() needs a targetOrigin');
+  }
+  if (origin === '*') {
+    throw new TypeError('[Recorder] createWindowTransport() needs the origin to accept messages from, "*" accepts any page');
+  }
+
+  return new Transport({
+    transfersPorts: true,
+    send: (frame, transfer) => target.postMessage(frame, targetOrigin, transfer),
+    listen: (receive) => {
+      const listener = (event) => {
+        if (event.source === target && event.origin === origin) {
+          receive(event.data);
+        }
+      };
+      receiver.addEventListener('message', listener);
+      return () => receiver.removeEventListener('message', listener);
+    }
+  });
+}
+
+export { Transport, createWorkerTransport, createProcessTransport, createStreamTransport, createWindowTransport };
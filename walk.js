@@ -0,0 +1,61 @@
+/**
+ * Walk - copies nested values, replacing some of them on the way
+ *
+ * Shared by the recorder, for markers in arguments, and the transports, for
+ * ports in messages. Internal, not part of the package's API.
+ */
+
+/**
+ * Copy arrays, plain objects, Maps and Sets at any depth, keeping shared and
+ * circular references. Every value is passed to `mapValue` first, a value it
+ * replaces is not walked into.
+ * @param {any} value - The value to walk
+ * @param {Function} mapValue - Called with each value, returns it or its replacement
+ * @param {Map} [seen] - Copies made so far, by original
+ * @returns {any} The copied value
+ */
+function mapDeep(value, mapValue, seen = new Map()) {
+  const mapped = mapValue(value);
+  if (mapped !== value || !value || typeof value !== 'object') {
+    return mapped;
+  }
+  if (seen.has(value)) {
+    return seen.get(value);
+  }
+  
+  if (Array.isArray(value)) {
+    const copy = [];
+    seen.set(value, copy);
+    for (const item of value) {
+      copy.push(mapDeep(item, mapValue, seen));
+    }
+    return copy;
+  }
+  if (value instanceof Map) {
+    const copy = new Map();
+    seen.set(value, copy);
+    for (const [key, item] of value) {
+      copy.set(mapDeep(key, mapValue, seen), mapDeep(item, mapValue, seen));
+    }
+    return copy;
+  }
+  if (value instanceof Set) {
+    const copy = new Set();
+    seen.set(value, copy);
+    for (const item of value) {
+      copy.add(mapDeep(item, mapValue, seen));
+    }
+    return copy;
+  }
+  if ([Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    const copy = {};
+    seen.set(value, copy);
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = mapDeep(item, mapValue, seen);
+    }
+    return copy;
+  }
+  return value;
+}
+
+export { mapDeep };